@@ -3,6 +3,8 @@ import Navbar from './components/Navbar';
 import Home from './pages/Home';
 import Employee from './pages/Employee';
 import Admin from './pages/Admin';
+import Status from './pages/Status';
+import SetPassword from './pages/SetPassword';
 
 export default function App() {
   return (
@@ -12,6 +14,8 @@ export default function App() {
         <Route path="/" element={<Home />} />
         <Route path="/employee" element={<Employee />} />
         <Route path="/admin" element={<Admin />} />
+        <Route path="/status" element={<Status />} />
+        <Route path="/set-password" element={<SetPassword />} />
         <Route path="*" element={<Home />} />
       </Routes>
     </BrowserRouter>
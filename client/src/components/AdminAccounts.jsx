@@ -0,0 +1,129 @@
+import { useState, useEffect } from 'react';
+import api from '../utils/api';
+import { useConfigOptions } from '../utils/config';
+
+const EMPTY_FORM = { name: '', username: '', email: '', password: '', adminRole: 'hr_officer', department: '' };
+
+/**
+ * Admin Accounts Component
+ * Super-admin management of admin users and their roles (rendered inside the Admin page)
+ */
+export default function AdminAccounts({ currentAdminId, roleLabels, showToast }) {
+    const [admins, setAdmins] = useState([]);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [showForm, setShowForm] = useState(false);
+    const { departments } = useConfigOptions('/admin/config');
+
+    useEffect(() => {
+        fetchAdmins();
+    }, []);
+
+    const fetchAdmins = async () => {
+        try {
+            const res = await api.get('/admin/admins');
+            if (res.data.success) setAdmins(res.data.admins);
+        } catch (err) {
+            console.error('Fetch admins error:', err);
+            showToast('Failed to load admin accounts', 'error');
+        }
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        try {
+            const res = await api.post('/admin/admins', form);
+            if (res.data.success) {
+                setForm(EMPTY_FORM);
+                setShowForm(false);
+                fetchAdmins();
+                showToast('Admin account created', 'success');
+            }
+        } catch (err) {
+            console.error('Create admin error:', err);
+            showToast(err.response?.data?.message || 'Failed to create admin', 'error');
+        }
+    };
+
+    const updateAdmin = async (id, changes) => {
+        try {
+            const res = await api.patch(`/admin/admins/${id}`, changes);
+            if (res.data.success) {
+                setAdmins(prev => prev.map(a => a._id === id ? res.data.admin : a));
+                showToast('Admin account updated', 'success');
+            }
+        } catch (err) {
+            console.error('Update admin error:', err);
+            showToast(err.response?.data?.message || 'Failed to update admin', 'error');
+        }
+    };
+
+    const deleteAdmin = async (id) => {
+        try {
+            const res = await api.delete(`/admin/admins/${id}`);
+            if (res.data.success) {
+                setAdmins(prev => prev.filter(a => a._id !== id));
+                showToast('Admin account deleted', 'success');
+            }
+        } catch (err) {
+            console.error('Delete admin error:', err);
+            showToast(err.response?.data?.message || 'Failed to delete admin', 'error');
+        }
+    };
+
+    return (
+        <>
+            <div className="header-row">
+                <h2>Admin Accounts ({admins.length})</h2>
+                <button className="btn" onClick={() => setShowForm(!showForm)}>{showForm ? 'Cancel' : '+ New Admin'}</button>
+            </div>
+
+            {showForm && (
+                <form className="admin-form" onSubmit={handleCreate}>
+                    <input type="text" placeholder="Full name" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} required />
+                    <input type="text" placeholder="Username" value={form.username} onChange={(e) => setForm({ ...form, username: e.target.value })} required />
+                    <input type="email" placeholder="Email (optional)" value={form.email} onChange={(e) => setForm({ ...form, email: e.target.value })} />
+                    <input type="password" placeholder="Password (min 8 characters)" minLength="8" value={form.password} onChange={(e) => setForm({ ...form, password: e.target.value })} required />
+                    <select value={form.adminRole} onChange={(e) => setForm({ ...form, adminRole: e.target.value })}>
+                        {Object.entries(roleLabels).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                    </select>
+                    <select value={form.department} onChange={(e) => setForm({ ...form, department: e.target.value })} required={form.adminRole === 'department_handler'}>
+                        <option value="">No department</option>
+                        {departments.filter(d => d.isActive).map(d => <option key={d.value} value={d.value}>{d.label}</option>)}
+                    </select>
+                    <button type="submit" className="btn-approve">Create Admin</button>
+                </form>
+            )}
+
+            {admins.length === 0 ? <div className="empty">No admin accounts found</div> : (
+                <table>
+                    <thead><tr><th>Username</th><th>Name</th><th>Role</th><th>Dept</th><th>Status</th><th>Actions</th></tr></thead>
+                    <tbody>
+                        {admins.map(a => (
+                            <tr key={a._id}>
+                                <td data-label="Username">{a.username}</td>
+                                <td data-label="Name"><strong>{a.name}</strong></td>
+                                <td data-label="Role">
+                                    <select value={a.adminRole} disabled={a._id === currentAdminId} onChange={(e) => updateAdmin(a._id, { adminRole: e.target.value })}>
+                                        {Object.entries(roleLabels).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                                    </select>
+                                </td>
+                                <td data-label="Dept">{a.department ? <span className="badge">{a.department}</span> : '—'}</td>
+                                <td data-label="Status"><span className={`status ${a.isActive ? 'approved' : 'rejected'}`}>{a.isActive ? 'active' : 'disabled'}</span></td>
+                                <td data-label="">
+                                    {a._id !== currentAdminId && (
+                                        <div className="approval-actions">
+                                            <button className={a.isActive ? 'btn-reject' : 'btn-approve'} onClick={() => updateAdmin(a._id, { isActive: !a.isActive })}>
+                                                {a.isActive ? 'Disable' : 'Enable'}
+                                            </button>
+                                            <button className="btn-icon-delete" onClick={() => deleteAdmin(a._id)}>🗑️</button>
+                                        </div>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </>
+    );
+}
@@ -0,0 +1,212 @@
+import { useEffect, useState } from 'react';
+import api from '../utils/api';
+import { statusLabel } from '../utils/complaints';
+import './AnalyticsDashboard.css';
+
+const PRESETS = [
+    { label: '7 days', days: 7 },
+    { label: '30 days', days: 30 },
+    { label: '90 days', days: 90 },
+    { label: '1 year', days: 365 }
+];
+
+const toInputDate = (date) => date.toISOString().slice(0, 10);
+
+const daysAgo = (days) => {
+    const date = new Date();
+    date.setDate(date.getDate() - days);
+    return toInputDate(date);
+};
+
+const formatHours = (hours) => {
+    if (hours === null || hours === undefined) return '—';
+    if (hours < 48) return `${hours}h`;
+    return `${Math.round((hours / 24) * 10) / 10}d`;
+};
+
+const formatRate = (sla) => (sla?.rate === null || sla?.rate === undefined ? '—' : `${sla.rate}%`);
+
+const formatBucket = (date, interval) => {
+    const options = interval === 'month' ? { month: 'short', year: '2-digit' } : { day: '2-digit', month: 'short' };
+    return new Date(date).toLocaleDateString('en-IN', options);
+};
+
+// Created vs. resolved columns per time bucket
+function TrendChart({ points, interval }) {
+    if (points.length === 0) return <p className="chart-empty">No complaints in this range</p>;
+
+    const max = Math.max(1, ...points.map(p => Math.max(p.created, p.resolved)));
+    // Label roughly every n-th bucket so they never overlap
+    const labelEvery = Math.ceil(points.length / 12);
+
+    return (
+        <div className="trend-chart">
+            <div className="trend-columns">
+                {points.map((p, i) => (
+                    <div key={p.date} className="trend-bucket" title={`${formatBucket(p.date, interval)}: ${p.created} created, ${p.resolved} resolved`}>
+                        <div className="trend-bars">
+                            <span className="bar created" style={{ height: `${(p.created / max) * 100}%` }} />
+                            <span className="bar resolved" style={{ height: `${(p.resolved / max) * 100}%` }} />
+                        </div>
+                        <span className="trend-label">{i % labelEvery === 0 ? formatBucket(p.date, interval) : ''}</span>
+                    </div>
+                ))}
+            </div>
+            <div className="chart-legend">
+                <span><i className="created" /> Created</span>
+                <span><i className="resolved" /> Resolved</span>
+            </div>
+        </div>
+    );
+}
+
+// Horizontal bars for a { key, count } breakdown
+function BreakdownChart({ title, rows, formatKey = (key) => key }) {
+    const max = Math.max(1, ...rows.map(r => r.count));
+
+    return (
+        <div className="chart-card">
+            <h4>{title}</h4>
+            {rows.length === 0 ? <p className="chart-empty">No data</p> : (
+                <ul className="breakdown">
+                    {rows.map(row => (
+                        <li key={row.key}>
+                            <span className="breakdown-key">{formatKey(row.key)}</span>
+                            <span className="breakdown-bar"><span style={{ width: `${(row.count / max) * 100}%` }} /></span>
+                            <span className="breakdown-count">{row.count}</span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+// Average satisfaction score per { key, count, average } group, bars scaled to the 5-point maximum
+function RatingChart({ title, rows }) {
+    return (
+        <div className="chart-card">
+            <h4>{title}</h4>
+            {rows.length === 0 ? <p className="chart-empty">No ratings</p> : (
+                <ul className="breakdown ratings">
+                    {rows.map(row => (
+                        <li key={row.key} title={`${row.count} rating(s)`}>
+                            <span className="breakdown-key">{row.key}</span>
+                            <span className="breakdown-bar"><span style={{ width: `${(row.average / 5) * 100}%` }} /></span>
+                            <span className="breakdown-count">{row.average.toFixed(1)} <small>({row.count})</small></span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Analytics Dashboard Component
+ * Trends, breakdowns, response times and SLA compliance from /api/admin/analytics,
+ * and employee satisfaction ratings from /api/admin/analytics/ratings
+ */
+export default function AnalyticsDashboard({ showToast }) {
+    const [range, setRange] = useState({ from: daysAgo(30), to: toInputDate(new Date()) });
+    const [data, setData] = useState(null);
+    const [ratings, setRatings] = useState(null);
+    const [loading, setLoading] = useState(false);
+
+    useEffect(() => {
+        const fetchAnalytics = async () => {
+            setLoading(true);
+            try {
+                const [res, ratingRes] = await Promise.all([
+                    api.get('/admin/analytics', { params: range }),
+                    api.get('/admin/analytics/ratings', { params: range })
+                ]);
+                if (res.data.success) setData(res.data);
+                if (ratingRes.data.success) setRatings(ratingRes.data);
+            } catch (err) {
+                console.error('Fetch analytics error:', err);
+                showToast(err.response?.data?.message || 'Failed to load analytics', 'error');
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchAnalytics();
+    }, [range]);
+
+    return (
+        <div className="analytics">
+            <div className="header-row">
+                <h2>Analytics</h2>
+                <div className="range-picker">
+                    {PRESETS.map(preset => (
+                        <button
+                            key={preset.days}
+                            className={range.from === daysAgo(preset.days) && range.to === toInputDate(new Date()) ? 'active' : ''}
+                            onClick={() => setRange({ from: daysAgo(preset.days), to: toInputDate(new Date()) })}
+                        >
+                            {preset.label}
+                        </button>
+                    ))}
+                    <input type="date" value={range.from} max={range.to} onChange={(e) => e.target.value && setRange({ ...range, from: e.target.value })} />
+                    <span>to</span>
+                    <input type="date" value={range.to} min={range.from} onChange={(e) => e.target.value && setRange({ ...range, to: e.target.value })} />
+                </div>
+            </div>
+
+            {!data ? <div className="empty">{loading ? 'Loading analytics...' : 'No data'}</div> : (
+                <div className={loading ? 'analytics-body loading' : 'analytics-body'}>
+                    <div className="kpis">
+                        <div className="kpi"><h3>{data.totals.complaints}</h3><p>Complaints</p></div>
+                        <div className="kpi"><h3>{data.totals.resolved}</h3><p>Resolved</p></div>
+                        <div className="kpi"><h3>{formatHours(data.responseTimes.medianFirstResponseHours)}</h3><p>Median first response</p></div>
+                        <div className="kpi"><h3>{formatHours(data.responseTimes.medianResolutionHours)}</h3><p>Median resolution</p></div>
+                        <div className="kpi">
+                            <h3>{formatRate(data.sla.firstResponse)}</h3>
+                            <p>First response on time <small>({data.sla.firstResponse.met}/{data.sla.firstResponse.total})</small></p>
+                        </div>
+                        <div className="kpi">
+                            <h3>{formatRate(data.sla.resolution)}</h3>
+                            <p>Resolved on time <small>({data.sla.resolution.met}/{data.sla.resolution.total})</small></p>
+                        </div>
+                    </div>
+
+                    <div className="chart-card">
+                        <h4>Complaints per {data.range.interval}</h4>
+                        <TrendChart points={data.overTime} interval={data.range.interval} />
+                    </div>
+
+                    <div className="chart-grid">
+                        <BreakdownChart title="By category" rows={data.breakdowns.category} />
+                        <BreakdownChart title="By department" rows={data.breakdowns.department} />
+                        <BreakdownChart title="By work location" rows={data.breakdowns.workLocation} />
+                        <BreakdownChart title="By priority" rows={data.breakdowns.priority} />
+                        <BreakdownChart title="By status" rows={data.breakdowns.status} formatKey={statusLabel} />
+                    </div>
+
+                    {ratings && (
+                        <div className="satisfaction">
+                            <h3>Employee satisfaction</h3>
+                            <div className="kpis">
+                                <div className="kpi">
+                                    <h3>{ratings.overall.average === null ? '—' : `${ratings.overall.average.toFixed(1)} / 5`}</h3>
+                                    <p>Average rating</p>
+                                </div>
+                                <div className="kpi"><h3>{ratings.overall.count}</h3><p>Ratings given</p></div>
+                            </div>
+                            <div className="chart-grid">
+                                <BreakdownChart
+                                    title="Scores"
+                                    rows={ratings.overall.count === 0 ? [] : ratings.overall.distribution.map(d => ({ key: d.score, count: d.count }))}
+                                    formatKey={(score) => `${score} ★`}
+                                />
+                                <RatingChart title="By handler" rows={ratings.byHandler} />
+                                <RatingChart title="By category" rows={ratings.byCategory} />
+                                <RatingChart title="By department" rows={ratings.byDepartment} />
+                            </div>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,88 @@
+import { useRef, useState } from 'react';
+import { Paperclip, Download } from 'lucide-react';
+import { downloadFile } from '../utils/api';
+import { ATTACHMENT_ACCEPT } from '../utils/complaints';
+import './AttachmentList.css';
+
+const formatSize = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Attachment List Component
+ * Lists the files on a complaint and downloads them through the authenticated API
+ * `basePath` is the attachments endpoint, e.g. /complaints/:id/attachments
+ * `requestConfig` is passed to the download request (e.g. anonymous access token headers)
+ * Pass `onUpload` to let the viewer add more files
+ */
+export default function AttachmentList({ attachments = [], basePath, requestConfig, onUpload }) {
+    const inputRef = useRef(null);
+    const [uploading, setUploading] = useState(false);
+
+    const handleDownload = async (attachment) => {
+        try {
+            await downloadFile(`${basePath}/${attachment._id}`, attachment.originalName, requestConfig);
+        } catch (err) {
+            console.error('Download failed', err);
+            alert('Failed to download file');
+        }
+    };
+
+    const handleFiles = async (e) => {
+        const files = Array.from(e.target.files);
+        e.target.value = '';
+        if (files.length === 0) return;
+
+        setUploading(true);
+        try {
+            await onUpload(files);
+        } finally {
+            setUploading(false);
+        }
+    };
+
+    if (attachments.length === 0 && !onUpload) return null;
+
+    return (
+        <div className="attachments">
+            <h3><Paperclip size={18} /> Attachments ({attachments.length})</h3>
+
+            {attachments.length > 0 && (
+                <ul className="attachment-list">
+                    {attachments.map(attachment => (
+                        <li key={attachment._id}>
+                            <span className="attachment-name">{attachment.originalName}</span>
+                            <span className="attachment-size">{formatSize(attachment.size)}</span>
+                            <button type="button" onClick={() => handleDownload(attachment)} title="Download">
+                                <Download size={16} />
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {onUpload && (
+                <>
+                    <input
+                        ref={inputRef}
+                        type="file"
+                        multiple
+                        accept={ATTACHMENT_ACCEPT}
+                        onChange={handleFiles}
+                        hidden
+                    />
+                    <button
+                        type="button"
+                        className="attachment-add"
+                        onClick={() => inputRef.current.click()}
+                        disabled={uploading}
+                    >
+                        {uploading ? 'Uploading...' : 'Add Files'}
+                    </button>
+                </>
+            )}
+        </div>
+    );
+}
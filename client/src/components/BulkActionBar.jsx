@@ -0,0 +1,17 @@
+import './BulkActionBar.css';
+
+/**
+ * Bulk Action Bar Component
+ * Shown above a table while rows are selected; the actions themselves are passed as children
+ */
+export default function BulkActionBar({ count, onClear, children }) {
+    if (count === 0) return null;
+
+    return (
+        <div className="bulk-bar">
+            <span className="bulk-count">{count} selected</span>
+            <div className="bulk-actions">{children}</div>
+            <button className="bulk-clear" onClick={onClear}>Clear</button>
+        </div>
+    );
+}
@@ -0,0 +1,63 @@
+import { useState } from 'react';
+
+const FIELD_TYPES = [
+    { value: 'text', label: 'Text' },
+    { value: 'number', label: 'Number' },
+    { value: 'date', label: 'Date' },
+    { value: 'select', label: 'Choice list' }
+];
+
+const NEW_FIELD = { label: '', type: 'text', required: false, choices: '' };
+
+// Choices are edited as one comma-separated line
+const toDraft = (field) => ({ ...field, choices: (field.options || []).join(', ') });
+const fromDraft = ({ choices, ...field }) => ({
+    ...field,
+    options: field.type === 'select' ? choices.split(',').map(c => c.trim()).filter(Boolean) : []
+});
+
+/**
+ * Category Field Editor Component
+ * Define the extra inputs (text, number, date, choice list) a category's complaint form asks for
+ * Existing fields keep their key when renamed so complaints already filed still match
+ */
+export default function CategoryFieldEditor({ category, onSave, onClose }) {
+    const [drafts, setDrafts] = useState(() => category.fields.map(toDraft));
+
+    const updateDraft = (index, changes) => setDrafts(prev => prev.map((d, i) => (i === index ? { ...d, ...changes } : d)));
+    const removeDraft = (index) => setDrafts(prev => prev.filter((_, i) => i !== index));
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onSave(drafts.map(fromDraft));
+    };
+
+    return (
+        <form className="rule-form field-editor" onSubmit={handleSubmit}>
+            <h3>Extra fields for “{category.label}”</h3>
+            {drafts.length === 0 && <p className="field-editor-hint">No extra fields - employees only write a message.</p>}
+
+            {drafts.map((draft, index) => (
+                <div className="rule-form-row" key={draft.key || `new-${index}`}>
+                    <input type="text" placeholder="Label (e.g. UAN)" value={draft.label} onChange={(e) => updateDraft(index, { label: e.target.value })} required />
+                    <select value={draft.type} onChange={(e) => updateDraft(index, { type: e.target.value })}>
+                        {FIELD_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+                    </select>
+                    {draft.type === 'select' && (
+                        <input type="text" placeholder="Choices, comma separated" value={draft.choices} onChange={(e) => updateDraft(index, { choices: e.target.value })} required />
+                    )}
+                    <label>
+                        <input type="checkbox" checked={draft.required} onChange={(e) => updateDraft(index, { required: e.target.checked })} /> Required
+                    </label>
+                    <button type="button" className="btn-icon-delete" onClick={() => removeDraft(index)}>🗑️</button>
+                </div>
+            ))}
+
+            <div className="approval-actions">
+                <button type="button" className="btn-cancel" onClick={() => setDrafts(prev => [...prev, { ...NEW_FIELD }])}>+ Add Field</button>
+                <button type="submit" className="btn-approve">Save Fields</button>
+                <button type="button" className="btn-cancel" onClick={onClose}>Close</button>
+            </div>
+        </form>
+    );
+}
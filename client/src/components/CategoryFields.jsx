@@ -0,0 +1,29 @@
+/**
+ * Category Fields Component
+ * The extra inputs a complaint category asks for (amount, UAN, dates...), shown on the new complaint form
+ * `values` is keyed by field key
+ */
+export default function CategoryFields({ fields = [], values, onChange }) {
+    const setValue = (key, value) => onChange({ ...values, [key]: value });
+
+    return fields.map(field => (
+        <div className="field" key={field.key}>
+            <label>{field.label}{field.required ? '' : ' (optional)'}</label>
+            {field.type === 'select' ? (
+                <select value={values[field.key] || ''} onChange={(e) => setValue(field.key, e.target.value)} required={field.required}>
+                    <option value="">Select {field.label}</option>
+                    {field.options.map(option => <option key={option} value={option}>{option}</option>)}
+                </select>
+            ) : (
+                <input
+                    type={field.type}
+                    step={field.type === 'number' ? 'any' : undefined}
+                    maxLength={field.type === 'text' ? 500 : undefined}
+                    value={values[field.key] || ''}
+                    onChange={(e) => setValue(field.key, e.target.value)}
+                    required={field.required}
+                />
+            )}
+        </div>
+    ));
+}
@@ -0,0 +1,77 @@
+import { useState } from 'react';
+import api, { saveSession } from '../utils/api';
+
+const EMPTY_FORM = { currentPassword: '', newPassword: '', confirm: '' };
+
+/**
+ * Change Password Component
+ * For a signed-in employee, shown in the settings view
+ */
+export default function ChangePassword() {
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [saving, setSaving] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (form.newPassword !== form.confirm) {
+            alert('New passwords do not match');
+            return;
+        }
+
+        setSaving(true);
+        try {
+            const res = await api.patch('/account/password', {
+                currentPassword: form.currentPassword,
+                newPassword: form.newPassword
+            });
+            if (res.data.success) {
+                // Other devices were signed out; this one continues with the new session
+                saveSession('employee', res.data);
+                setForm(EMPTY_FORM);
+                alert('Password changed. Other devices have been signed out.');
+            }
+        } catch (err) {
+            alert(err.response?.data?.message || 'Failed to change password');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit}>
+            <div className="field">
+                <label>Current Password</label>
+                <input
+                    type="password"
+                    value={form.currentPassword}
+                    onChange={(e) => setForm({ ...form, currentPassword: e.target.value })}
+                    autoComplete="current-password"
+                    required
+                />
+            </div>
+            <div className="field">
+                <label>New Password</label>
+                <input
+                    type="password"
+                    value={form.newPassword}
+                    onChange={(e) => setForm({ ...form, newPassword: e.target.value })}
+                    autoComplete="new-password"
+                    minLength="6"
+                    required
+                />
+            </div>
+            <div className="field">
+                <label>Confirm New Password</label>
+                <input
+                    type="password"
+                    value={form.confirm}
+                    onChange={(e) => setForm({ ...form, confirm: e.target.value })}
+                    autoComplete="new-password"
+                    minLength="6"
+                    required
+                />
+            </div>
+            <button type="submit" className="btn-primary" disabled={saving}>{saving ? 'Saving...' : 'Change Password'}</button>
+        </form>
+    );
+}
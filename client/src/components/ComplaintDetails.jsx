@@ -0,0 +1,26 @@
+import './ComplaintDetails.css';
+
+const formatValue = (detail) => {
+    if (detail.type === 'date') return new Date(`${detail.value}T00:00:00`).toLocaleDateString();
+    if (detail.type === 'number') return Number(detail.value).toLocaleString();
+    return detail.value;
+};
+
+/**
+ * Complaint Details Component
+ * The values entered for a category's extra fields, shown in the admin and employee detail views
+ */
+export default function ComplaintDetails({ details = [] }) {
+    if (details.length === 0) return null;
+
+    return (
+        <dl className="complaint-details">
+            {details.map(detail => (
+                <div key={detail.key}>
+                    <dt>{detail.label}</dt>
+                    <dd>{formatValue(detail)}</dd>
+                </div>
+            ))}
+        </dl>
+    );
+}
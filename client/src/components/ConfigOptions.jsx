@@ -0,0 +1,128 @@
+import { useState } from 'react';
+import api from '../utils/api';
+import { useConfigOptions, announceConfigChange } from '../utils/config';
+import CategoryFieldEditor from './CategoryFieldEditor';
+
+const SECTIONS = [
+    { type: 'category', key: 'categories', title: 'Complaint Categories' },
+    { type: 'department', key: 'departments', title: 'Departments' },
+    { type: 'workLocation', key: 'workLocations', title: 'Work Locations' }
+];
+
+const EMPTY_FORM = { value: '', label: '', order: '' };
+
+/**
+ * Config Options Component
+ * Manage the categories, departments and work locations offered in the forms (rendered inside the Admin page)
+ * Values are what records store and can't be changed; deactivating hides an option without touching history
+ */
+export default function ConfigOptions({ showToast }) {
+    const options = useConfigOptions('/admin/config');
+    const [forms, setForms] = useState({});
+    const [editing, setEditing] = useState(null);
+    const [fieldsFor, setFieldsFor] = useState(null);
+
+    const formFor = (type) => forms[type] || EMPTY_FORM;
+    const setForm = (type, changes) => setForms(prev => ({ ...prev, [type]: { ...formFor(type), ...changes } }));
+
+    const handleCreate = async (e, type) => {
+        e.preventDefault();
+        const form = formFor(type);
+        try {
+            const res = await api.post(`/admin/config/${type}`, { ...form, order: Number(form.order) || 0 });
+            if (res.data.success) {
+                setForms(prev => ({ ...prev, [type]: EMPTY_FORM }));
+                announceConfigChange();
+                showToast('Option added', 'success');
+            }
+        } catch (err) {
+            console.error('Create option error:', err);
+            showToast(err.response?.data?.message || 'Failed to add option', 'error');
+        }
+    };
+
+    const updateOption = async (id, changes) => {
+        try {
+            const res = await api.patch(`/admin/config/${id}`, changes);
+            if (res.data.success) {
+                setEditing(null);
+                if (changes.fields) setFieldsFor(null);
+                announceConfigChange();
+                showToast('Option updated', 'success');
+            }
+        } catch (err) {
+            console.error('Update option error:', err);
+            showToast(err.response?.data?.message || 'Failed to update option', 'error');
+        }
+    };
+
+    return (
+        <>
+            <div className="header-row"><h2>Form Options</h2></div>
+            {SECTIONS.map(({ type, key, title }) => (
+                <section key={type} className="config-section">
+                    <h3>{title} ({options[key].filter(o => o.isActive).length} active)</h3>
+
+                    <form className="rule-form-row config-form" onSubmit={(e) => handleCreate(e, type)}>
+                        <input type="text" placeholder="Value (stored on records)" maxLength="60" value={formFor(type).value} onChange={(e) => setForm(type, { value: e.target.value })} required />
+                        <input type="text" placeholder="Label (optional)" value={formFor(type).label} onChange={(e) => setForm(type, { label: e.target.value })} />
+                        <input type="number" placeholder="Order" title="Lower shows first" value={formFor(type).order} onChange={(e) => setForm(type, { order: e.target.value })} />
+                        <button type="submit" className="btn-approve">Add</button>
+                    </form>
+
+                    <table>
+                        <thead><tr><th>Order</th><th>Label</th><th>Value</th><th>Status</th><th>Actions</th></tr></thead>
+                        <tbody>
+                            {options[key].map(o => (
+                                <tr key={o._id} className={o.isActive ? '' : 'config-inactive'}>
+                                    {editing?.id === o._id ? (
+                                        <>
+                                            <td data-label="Order"><input type="number" className="config-input-order" value={editing.order} onChange={(e) => setEditing({ ...editing, order: e.target.value })} /></td>
+                                            <td data-label="Label"><input type="text" className="config-input" value={editing.label} onChange={(e) => setEditing({ ...editing, label: e.target.value })} /></td>
+                                        </>
+                                    ) : (
+                                        <>
+                                            <td data-label="Order">{o.order}</td>
+                                            <td data-label="Label"><strong>{o.label}</strong></td>
+                                        </>
+                                    )}
+                                    <td data-label="Value">{o.value}</td>
+                                    <td data-label="Status"><span className="badge">{o.isActive ? 'Active' : 'Inactive'}</span></td>
+                                    <td data-label="">
+                                        <div className="approval-actions">
+                                            {editing?.id === o._id ? (
+                                                <>
+                                                    <button className="btn-approve" onClick={() => updateOption(o._id, { label: editing.label, order: Number(editing.order) || 0 })}>Save</button>
+                                                    <button className="btn-cancel" onClick={() => setEditing(null)}>Cancel</button>
+                                                </>
+                                            ) : (
+                                                <>
+                                                    <button className="btn-cancel" onClick={() => setEditing({ id: o._id, label: o.label, order: o.order })}>Edit</button>
+                                                    {type === 'category' && (
+                                                        <button className="btn-cancel" onClick={() => setFieldsFor(o)}>Fields ({o.fields.length})</button>
+                                                    )}
+                                                    <button className={o.isActive ? 'btn-reject' : 'btn-approve'} onClick={() => updateOption(o._id, { isActive: !o.isActive })}>
+                                                        {o.isActive ? 'Deactivate' : 'Activate'}
+                                                    </button>
+                                                </>
+                                            )}
+                                        </div>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+
+                    {type === 'category' && fieldsFor && (
+                        <CategoryFieldEditor
+                            key={fieldsFor._id}
+                            category={fieldsFor}
+                            onSave={(fields) => updateOption(fieldsFor._id, { fields })}
+                            onClose={() => setFieldsFor(null)}
+                        />
+                    )}
+                </section>
+            ))}
+        </>
+    );
+}
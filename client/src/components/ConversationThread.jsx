@@ -0,0 +1,70 @@
+import { useState } from 'react';
+import './ConversationThread.css';
+
+/**
+ * Conversation Thread Component
+ * Shows the admin <-> employee message history on a complaint
+ * `viewer` is 'admin' or 'employee' and decides which side is "mine"
+ * Leave `onSend` out to render the thread read-only
+ */
+export default function ConversationThread({ messages = [], viewer, onSend }) {
+    const [draft, setDraft] = useState('');
+    const [sending, setSending] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const body = draft.trim();
+        if (!body || sending) return;
+
+        setSending(true);
+        try {
+            await onSend(body);
+            setDraft('');
+        } finally {
+            setSending(false);
+        }
+    };
+
+    const formatTime = (date) => {
+        return new Date(date).toLocaleString('en-IN', {
+            day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit'
+        });
+    };
+
+    return (
+        <div className="conversation">
+            <h3>Conversation</h3>
+
+            <div className="conversation-messages">
+                {messages.length === 0 ? (
+                    <p className="conversation-empty">No messages yet</p>
+                ) : (
+                    messages.map(m => (
+                        <div key={m._id} className={`bubble ${m.authorType === viewer ? 'mine' : 'theirs'}`}>
+                            <div className="bubble-meta">
+                                <strong>{m.authorName}</strong>
+                                <span>{formatTime(m.createdAt)}</span>
+                            </div>
+                            <p>{m.body}</p>
+                        </div>
+                    ))
+                )}
+            </div>
+
+            {onSend && (
+                <form className="conversation-form" onSubmit={handleSubmit}>
+                    <textarea
+                        value={draft}
+                        onChange={(e) => setDraft(e.target.value)}
+                        rows="3"
+                        maxLength="2000"
+                        placeholder={viewer === 'admin' ? 'Reply to the employee...' : 'Reply to HR...'}
+                    />
+                    <button type="submit" disabled={sending || !draft.trim()}>
+                        {sending ? 'Sending...' : 'Send'}
+                    </button>
+                </form>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,127 @@
+import { useState } from 'react';
+import api from '../utils/api';
+import './EmployeeImport.css';
+
+const OUTCOMES = {
+    create: 'New account',
+    resend: 'New set-password link',
+    exists: 'Already registered',
+    error: 'Error'
+};
+
+const csvCell = (value) => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+// Hand the set-password links back as a CSV HR can mail-merge or forward
+const downloadLinks = (rows) => {
+    const lines = [['Name', 'Phone', 'Set-password link'], ...rows.map(r => [r.name, r.employeeNumber, r.link])];
+    const blob = new Blob([lines.map(line => line.map(csvCell).join(',')).join('\r\n')], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `set-password-links-${new Date().toISOString().slice(0, 10)}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
+
+/**
+ * Employee Import Component
+ * Upload a CSV of employees, preview per-row validation (dry run), then create pre-approved accounts
+ * Columns: name, phone, department, work location, email (optional)
+ */
+export default function EmployeeImport({ showToast, onImported, onClose }) {
+    const [file, setFile] = useState(null);
+    const [preview, setPreview] = useState(null);
+    const [result, setResult] = useState(null);
+    const [loading, setLoading] = useState(false);
+
+    const chooseFile = (e) => {
+        setFile(e.target.files[0] || null);
+        setPreview(null);
+        setResult(null);
+    };
+
+    const upload = async (dryRun) => {
+        const formData = new FormData();
+        formData.append('file', file);
+        setLoading(true);
+        try {
+            const res = await api.post('/admin/users/import', formData, { params: { dryRun } });
+            if (!res.data.success) return;
+            if (dryRun) {
+                setPreview(res.data);
+            } else {
+                setResult(res.data);
+                setPreview(null);
+                showToast(`Imported ${res.data.summary.create} employees`, 'success');
+                onImported();
+            }
+        } catch (err) {
+            console.error('Import employees error:', err);
+            showToast(err.response?.data?.message || 'Import failed', 'error');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const shown = result || preview;
+    const links = result ? result.rows.filter(r => r.link) : [];
+    const importable = preview ? preview.summary.create + preview.summary.resend : 0;
+
+    return (
+        <div className="employee-import">
+            <div className="import-header">
+                <h3>Import employees from CSV</h3>
+                <button className="btn-cancel" onClick={onClose}>Close</button>
+            </div>
+            <p className="import-hint">
+                Columns: <code>name, phone, department, work location, email</code> (email optional).
+                Employees already registered with the same phone number are skipped, so the same file can be imported again safely.
+            </p>
+
+            <div className="import-actions">
+                <input type="file" accept=".csv,text/csv" onChange={chooseFile} />
+                <button className="btn" disabled={!file || loading} onClick={() => upload(true)}>
+                    {loading && !preview ? 'Checking...' : 'Preview'}
+                </button>
+                {preview && (
+                    <button className="btn-approve" disabled={importable === 0 || loading} onClick={() => upload(false)}>
+                        {loading ? 'Importing...' : `Import ${importable} employee${importable === 1 ? '' : 's'}`}
+                    </button>
+                )}
+                {links.length > 0 && (
+                    <button className="btn-export" onClick={() => downloadLinks(links)}>⬇ Set-password links</button>
+                )}
+            </div>
+
+            {shown && (
+                <>
+                    <div className="import-summary">
+                        {Object.entries(OUTCOMES).map(([action, label]) => (
+                            <span key={action} className={`import-chip ${action}`}>{label}: {shown.summary[action]}</span>
+                        ))}
+                    </div>
+                    <table className="import-table">
+                        <thead><tr><th>Row</th><th>Name</th><th>Phone</th><th>Dept</th><th>Location</th><th>Outcome</th></tr></thead>
+                        <tbody>
+                            {shown.rows.map(r => (
+                                <tr key={r.row} className={r.action === 'error' ? 'row-error' : ''}>
+                                    <td data-label="Row">{r.row}</td>
+                                    <td data-label="Name">{r.name || '—'}</td>
+                                    <td data-label="Phone">{r.employeeNumber || '—'}</td>
+                                    <td data-label="Dept">{r.department || '—'}</td>
+                                    <td data-label="Location">{r.workLocation || '—'}</td>
+                                    <td data-label="Outcome">
+                                        <span className={`import-chip ${r.action}`}>{OUTCOMES[r.action]}</span>
+                                        {r.errors.length > 0 && <div className="import-errors">{r.errors.join('; ')}</div>}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,166 @@
+import { useEffect, useState } from 'react';
+import api from '../utils/api';
+import './ForgotPassword.css';
+
+/**
+ * Forgot Password Component
+ * Phone number -> one-time code (SMS/email) -> new password, shown on the employee login screen
+ */
+export default function ForgotPassword({ onBack }) {
+    const [step, setStep] = useState('phone');
+    const [phone, setPhone] = useState('');
+    const [code, setCode] = useState('');
+    const [resetToken, setResetToken] = useState('');
+    const [passwords, setPasswords] = useState({ password: '', confirm: '' });
+    const [resendIn, setResendIn] = useState(0);
+    const [loading, setLoading] = useState(false);
+
+    // Count down until another code may be requested
+    useEffect(() => {
+        if (resendIn <= 0) return undefined;
+        const timer = setTimeout(() => setResendIn(resendIn - 1), 1000);
+        return () => clearTimeout(timer);
+    }, [resendIn]);
+
+    const requestCode = async (e) => {
+        e?.preventDefault();
+        setLoading(true);
+        try {
+            const res = await api.post('/auth/forgot-password', { phone });
+            if (res.data.success) {
+                setStep('code');
+                setResendIn(res.data.resendAfterSeconds || 60);
+            }
+        } catch (err) {
+            alert(err.response?.data?.message || 'Failed to send code');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const verifyCode = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        try {
+            const res = await api.post('/auth/reset-password/verify', { phone, code });
+            if (res.data.success) {
+                setResetToken(res.data.resetToken);
+                setStep('password');
+            }
+        } catch (err) {
+            alert(err.response?.data?.message || 'Failed to verify code');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const resetPassword = async (e) => {
+        e.preventDefault();
+        if (passwords.password !== passwords.confirm) {
+            alert('Passwords do not match');
+            return;
+        }
+
+        setLoading(true);
+        try {
+            const res = await api.post('/auth/reset-password', { resetToken, password: passwords.password });
+            if (res.data.success) setStep('done');
+        } catch (err) {
+            alert(err.response?.data?.message || 'Failed to reset password');
+            // An expired reset token can't be retried - start over
+            if (err.response?.status === 400) setStep('phone');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="auth-form">
+            <h2>Reset Password</h2>
+
+            {step === 'phone' && (
+                <form onSubmit={requestCode}>
+                    <p className="reset-hint">Enter your registered phone number and we'll send you a code.</p>
+                    <div className="field">
+                        <label>Phone Number</label>
+                        <input
+                            type="tel"
+                            value={phone}
+                            onChange={(e) => setPhone(e.target.value)}
+                            placeholder="Enter your phone number"
+                            pattern="[0-9]{10}"
+                            title="Please enter a 10-digit phone number"
+                            required
+                        />
+                    </div>
+                    <button type="submit" className="btn-primary" disabled={loading}>{loading ? 'Sending...' : 'Send Code'}</button>
+                </form>
+            )}
+
+            {step === 'code' && (
+                <form onSubmit={verifyCode}>
+                    <p className="reset-hint">If {phone} is registered, a 6-digit code is on its way by SMS (and email, if we have one).</p>
+                    <div className="field">
+                        <label>Reset Code</label>
+                        <input
+                            type="text"
+                            inputMode="numeric"
+                            autoComplete="one-time-code"
+                            value={code}
+                            onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+                            placeholder="6-digit code"
+                            pattern="[0-9]{6}"
+                            required
+                        />
+                    </div>
+                    <button type="submit" className="btn-primary" disabled={loading}>{loading ? 'Checking...' : 'Verify Code'}</button>
+                    <button type="button" className="reset-resend" disabled={resendIn > 0 || loading} onClick={requestCode}>
+                        {resendIn > 0 ? `Resend code in ${resendIn}s` : 'Resend code'}
+                    </button>
+                </form>
+            )}
+
+            {step === 'password' && (
+                <form onSubmit={resetPassword}>
+                    <div className="field">
+                        <label>New Password</label>
+                        <input
+                            type="password"
+                            value={passwords.password}
+                            onChange={(e) => setPasswords({ ...passwords, password: e.target.value })}
+                            placeholder="Create a password"
+                            minLength="6"
+                            required
+                        />
+                    </div>
+                    <div className="field">
+                        <label>Confirm Password</label>
+                        <input
+                            type="password"
+                            value={passwords.confirm}
+                            onChange={(e) => setPasswords({ ...passwords, confirm: e.target.value })}
+                            placeholder="Repeat the password"
+                            minLength="6"
+                            required
+                        />
+                    </div>
+                    <button type="submit" className="btn-primary" disabled={loading}>{loading ? 'Saving...' : 'Reset Password'}</button>
+                </form>
+            )}
+
+            {step === 'done' && (
+                <>
+                    <p className="reset-hint">Your password has been reset. Log in with your phone number and new password.</p>
+                    <button className="btn-primary" onClick={onBack}>Go to Login</button>
+                </>
+            )}
+
+            {step !== 'done' && (
+                <div className="auth-switch">
+                    Remembered it?
+                    <button onClick={onBack}>Login</button>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -1,11 +1,32 @@
 import { Link, useLocation } from 'react-router-dom';
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
+import { AUTH_CHANGE_EVENT } from '../utils/api';
+import NotificationBell from './NotificationBell';
 import './Navbar.css';
 
+// The session the bell should show: the admin one on admin pages, the employee one elsewhere
+const currentSession = (pathname) => {
+    if (pathname.startsWith('/admin')) {
+        const token = localStorage.getItem('adminToken');
+        return token ? { token, streamPath: '/admin/events' } : null;
+    }
+    const token = localStorage.getItem('token');
+    return token ? { token, streamPath: '/events' } : null;
+};
+
 export default function Navbar() {
     const location = useLocation();
     const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
 
+    const [session, setSession] = useState(() => currentSession(location.pathname));
+
+    useEffect(() => {
+        const refresh = () => setSession(currentSession(location.pathname));
+        refresh();
+        window.addEventListener(AUTH_CHANGE_EVENT, refresh);
+        return () => window.removeEventListener(AUTH_CHANGE_EVENT, refresh);
+    }, [location.pathname]);
+
     const isActive = (path) => location.pathname === path;
 
     return (
@@ -27,14 +48,18 @@ export default function Navbar() {
 
                 </div>
 
-                {/* Mobile Menu Button */}
-                <button
-                    className="mobile-menu-btn"
-                    onClick={() => setIsMobileMenuOpen(!isMobileMenuOpen)}
-                    aria-label="Toggle menu"
-                >
-                    {isMobileMenuOpen ? '✕' : '☰'}
-                </button>
+                <div className="nav-actions">
+                    {session && <NotificationBell key={session.token} token={session.token} streamPath={session.streamPath} />}
+
+                    {/* Mobile Menu Button */}
+                    <button
+                        className="mobile-menu-btn"
+                        onClick={() => setIsMobileMenuOpen(!isMobileMenuOpen)}
+                        aria-label="Toggle menu"
+                    >
+                        {isMobileMenuOpen ? '✕' : '☰'}
+                    </button>
+                </div>
             </div>
 
             {/* Mobile Menu */}
@@ -0,0 +1,135 @@
+import { useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Bell } from 'lucide-react';
+import api from '../utils/api';
+import { subscribeToEvents } from '../utils/events';
+import './NotificationBell.css';
+
+const PAGE_SIZE = 10;
+
+// Request config for this bell's session, whichever other token is stored
+const withToken = (token, extra = {}) => ({ ...extra, headers: { Authorization: `Bearer ${token}` } });
+
+const timeAgo = (date) => {
+    const minutes = Math.floor((Date.now() - new Date(date)) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes}m ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ago`;
+    return `${Math.floor(hours / 24)}d ago`;
+};
+
+/**
+ * Notification Bell Component
+ * Unread badge plus a dropdown of recent notifications for the signed-in employee or admin
+ * `token` picks the session and `streamPath` the live-update stream that session may use
+ */
+export default function NotificationBell({ token, streamPath }) {
+    const navigate = useNavigate();
+    const ref = useRef(null);
+    const [open, setOpen] = useState(false);
+    const [notifications, setNotifications] = useState([]);
+    const [unreadCount, setUnreadCount] = useState(0);
+    const [pagination, setPagination] = useState({ page: 1, pages: 1 });
+
+    useEffect(() => {
+        api.get('/notifications/unread-count', withToken(token))
+            .then(res => setUnreadCount(res.data.unreadCount))
+            .catch(err => console.error('Fetch unread count error:', err));
+
+        return subscribeToEvents(streamPath, token, (event, data) => {
+            if (event !== 'notification.created') return;
+            setNotifications(prev => [data.notification, ...prev]);
+            setUnreadCount(prev => prev + 1);
+        });
+    }, [token, streamPath]);
+
+    // Close when clicking anywhere else
+    useEffect(() => {
+        if (!open) return undefined;
+        const handleClick = (e) => {
+            if (ref.current && !ref.current.contains(e.target)) setOpen(false);
+        };
+        document.addEventListener('mousedown', handleClick);
+        return () => document.removeEventListener('mousedown', handleClick);
+    }, [open]);
+
+    const fetchNotifications = async (page = 1) => {
+        try {
+            const res = await api.get('/notifications', withToken(token, { params: { page, limit: PAGE_SIZE } }));
+            if (res.data.success) {
+                setNotifications(prev => (page === 1 ? res.data.notifications : [...prev, ...res.data.notifications]));
+                setUnreadCount(res.data.unreadCount);
+                setPagination(res.data.pagination);
+            }
+        } catch (err) {
+            console.error('Fetch notifications error:', err);
+        }
+    };
+
+    const toggle = () => {
+        if (!open) fetchNotifications(1);
+        setOpen(!open);
+    };
+
+    const openNotification = async (notification) => {
+        if (!notification.readAt) {
+            try {
+                const res = await api.patch(`/notifications/${notification._id}/read`, {}, withToken(token));
+                setNotifications(prev => prev.map(n => n._id === notification._id ? res.data.notification : n));
+                setUnreadCount(res.data.unreadCount);
+            } catch (err) {
+                console.error('Mark notification read error:', err);
+            }
+        }
+        setOpen(false);
+        if (notification.link) navigate(notification.link);
+    };
+
+    const markAllRead = async () => {
+        try {
+            await api.patch('/notifications/read-all', {}, withToken(token));
+            const now = new Date().toISOString();
+            setNotifications(prev => prev.map(n => ({ ...n, readAt: n.readAt || now })));
+            setUnreadCount(0);
+        } catch (err) {
+            console.error('Mark all read error:', err);
+        }
+    };
+
+    return (
+        <div className="notification-bell" ref={ref}>
+            <button className="bell-button" onClick={toggle} aria-label="Notifications">
+                <Bell size={22} />
+                {unreadCount > 0 && <span className="bell-count">{unreadCount > 99 ? '99+' : unreadCount}</span>}
+            </button>
+
+            {open && (
+                <div className="bell-dropdown">
+                    <div className="bell-header">
+                        <strong>Notifications</strong>
+                        {unreadCount > 0 && <button onClick={markAllRead}>Mark all read</button>}
+                    </div>
+
+                    {notifications.length === 0 ? (
+                        <p className="bell-empty">You're all caught up</p>
+                    ) : (
+                        <ul className="bell-list">
+                            {notifications.map(n => (
+                                <li key={n._id} className={n.readAt ? '' : 'unread'} onClick={() => openNotification(n)}>
+                                    <span className="bell-title">{n.title}</span>
+                                    {n.body && <span className="bell-body">{n.body}</span>}
+                                    <span className="bell-time">{timeAgo(n.createdAt)}</span>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+
+                    {pagination.page < pagination.pages && (
+                        <button className="bell-more" onClick={() => fetchNotifications(pagination.page + 1)}>Load more</button>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
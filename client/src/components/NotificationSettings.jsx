@@ -0,0 +1,79 @@
+import { useEffect, useState } from 'react';
+import api from '../utils/api';
+import './NotificationSettings.css';
+
+const EVENT_LABELS = {
+    account_approval: 'Account approval decisions',
+    complaint_status: 'Complaint status changes',
+    complaint_reply: 'New replies from HR'
+};
+
+/**
+ * Notification Settings Component
+ * Lets an employee choose which channels (email/SMS) and events they are notified about
+ */
+export default function NotificationSettings() {
+    const [preferences, setPreferences] = useState(null);
+    const [events, setEvents] = useState([]);
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        api.get('/account/notification-preferences')
+            .then(res => {
+                setPreferences(res.data.preferences);
+                setEvents(res.data.events);
+            })
+            .catch(err => console.error('Failed to fetch notification preferences', err));
+    }, []);
+
+    const update = async (changes) => {
+        setSaving(true);
+        try {
+            const res = await api.patch('/account/notification-preferences', changes);
+            if (res.data.success) setPreferences(res.data.preferences);
+        } catch (err) {
+            alert(err.response?.data?.message || 'Failed to update preferences');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (!preferences) return <p className="notification-loading">Loading preferences...</p>;
+
+    return (
+        <div className="notification-settings">
+            <h3>Send me notifications by</h3>
+            <label className="notification-option">
+                <input
+                    type="checkbox"
+                    checked={preferences.email}
+                    disabled={saving}
+                    onChange={(e) => update({ email: e.target.checked })}
+                />
+                Email
+            </label>
+            <label className="notification-option">
+                <input
+                    type="checkbox"
+                    checked={preferences.sms}
+                    disabled={saving}
+                    onChange={(e) => update({ sms: e.target.checked })}
+                />
+                SMS to my registered phone number
+            </label>
+
+            <h3>Notify me about</h3>
+            {events.map(event => (
+                <label key={event} className="notification-option">
+                    <input
+                        type="checkbox"
+                        checked={preferences.events?.[event] !== false}
+                        disabled={saving}
+                        onChange={(e) => update({ events: { [event]: e.target.checked } })}
+                    />
+                    {EVENT_LABELS[event] || event}
+                </label>
+            ))}
+        </div>
+    );
+}
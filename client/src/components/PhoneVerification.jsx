@@ -0,0 +1,94 @@
+import { useEffect, useState } from 'react';
+import api from '../utils/api';
+import './PhoneVerification.css';
+
+/**
+ * Phone Verification Component
+ * Texts a one-time code to the phone number on the registration form and hands back
+ * the verification token once the code is confirmed
+ */
+export default function PhoneVerification({ phone, verified, onVerified }) {
+    const [codeSent, setCodeSent] = useState(false);
+    const [code, setCode] = useState('');
+    const [resendIn, setResendIn] = useState(0);
+    const [loading, setLoading] = useState(false);
+
+    // A different number needs a new code
+    useEffect(() => {
+        setCodeSent(false);
+        setCode('');
+    }, [phone]);
+
+    // Count down until another code may be requested
+    useEffect(() => {
+        if (resendIn <= 0) return undefined;
+        const timer = setTimeout(() => setResendIn(resendIn - 1), 1000);
+        return () => clearTimeout(timer);
+    }, [resendIn]);
+
+    const sendCode = async () => {
+        setLoading(true);
+        try {
+            const res = await api.post('/auth/register/send-otp', { employeeNumber: phone });
+            if (res.data.success) {
+                setCodeSent(true);
+                setResendIn(res.data.resendAfterSeconds || 60);
+            }
+        } catch (err) {
+            if (err.response?.data?.resendAfterSeconds) setResendIn(err.response.data.resendAfterSeconds);
+            alert(err.response?.data?.message || 'Failed to send code');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const verifyCode = async () => {
+        setLoading(true);
+        try {
+            const res = await api.post('/auth/register/verify-otp', { employeeNumber: phone, code });
+            if (res.data.success) onVerified(res.data.verificationToken);
+        } catch (err) {
+            alert(err.response?.data?.message || 'Failed to verify code');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    if (verified) {
+        return <p className="phone-verified">✓ Phone number verified</p>;
+    }
+
+    if (!/^[0-9]{10}$/.test(phone)) {
+        return <p className="phone-verify-hint">Enter your 10-digit phone number to receive a verification code.</p>;
+    }
+
+    if (!codeSent) {
+        return (
+            <button type="button" className="phone-verify-send" disabled={loading || resendIn > 0} onClick={sendCode}>
+                {loading ? 'Sending...' : resendIn > 0 ? `Send code in ${resendIn}s` : 'Send Verification Code'}
+            </button>
+        );
+    }
+
+    return (
+        <div className="phone-verify">
+            <p className="phone-verify-hint">We sent a 6-digit code to {phone}.</p>
+            <div className="phone-verify-row">
+                <input
+                    type="text"
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    value={code}
+                    onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+                    placeholder="6-digit code"
+                />
+                <button type="button" className="phone-verify-send" disabled={loading || code.length !== 6} onClick={verifyCode}>
+                    {loading ? 'Checking...' : 'Verify'}
+                </button>
+            </div>
+            <button type="button" className="phone-verify-resend" disabled={resendIn > 0 || loading} onClick={sendCode}>
+                {resendIn > 0 ? `Resend code in ${resendIn}s` : 'Resend code'}
+            </button>
+        </div>
+    );
+}
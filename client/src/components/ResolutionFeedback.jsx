@@ -0,0 +1,94 @@
+import { useState } from 'react';
+import { isAwaitingConfirmation, canBeRated } from '../utils/complaints';
+import './ResolutionFeedback.css';
+
+const Stars = ({ score }) => (
+    <span className="rating-stars" aria-label={`${score} out of 5`}>
+        {'★'.repeat(score)}<span className="rating-stars-empty">{'★'.repeat(5 - score)}</span>
+    </span>
+);
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+
+/**
+ * Resolution Feedback Component
+ * Lets the employee confirm or reopen a resolved complaint and rate how it was handled
+ * Leave the handlers out (admin view) to only show the confirmation deadline and the rating
+ */
+export default function ResolutionFeedback({ complaint, onConfirm, onReopen, onRate }) {
+    const [score, setScore] = useState(0);
+    const [comment, setComment] = useState('');
+    const [saving, setSaving] = useState(false);
+
+    const readOnly = !onRate;
+    const awaiting = isAwaitingConfirmation(complaint);
+    const rating = complaint.rating?.score ? complaint.rating : null;
+
+    if (!awaiting && !rating && (readOnly || !canBeRated(complaint))) return null;
+
+    const handleRate = async (e) => {
+        e.preventDefault();
+        if (!score || saving) return;
+        setSaving(true);
+        try {
+            await onRate({ score, comment });
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="resolution-feedback">
+            {awaiting && (
+                <div className="resolution-confirm">
+                    <p>
+                        {readOnly ? 'Waiting for the employee to confirm the resolution' : 'HR has marked this complaint as resolved. Is it sorted out?'}
+                        {complaint.confirmationDue && <> Closes automatically on {formatDate(complaint.confirmationDue)}.</>}
+                    </p>
+                    {!readOnly && (
+                        <div className="resolution-actions">
+                            <button className="confirm-btn" onClick={onConfirm}>Yes, close it</button>
+                            <button className="reopen-btn" onClick={onReopen}>No, reopen it</button>
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {rating ? (
+                <div className="rating-given">
+                    <h4>{readOnly ? 'Employee rating' : 'Your rating'}</h4>
+                    <Stars score={rating.score} />
+                    {rating.comment && <p>{rating.comment}</p>}
+                    {readOnly && rating.handlerName && <small>Handled by {rating.handlerName}</small>}
+                </div>
+            ) : !readOnly && canBeRated(complaint) && (
+                <form className="rating-form" onSubmit={handleRate}>
+                    <h4>How well was this handled?</h4>
+                    <div className="rating-picker">
+                        {[1, 2, 3, 4, 5].map(value => (
+                            <button
+                                key={value}
+                                type="button"
+                                className={value <= score ? 'selected' : ''}
+                                onClick={() => setScore(value)}
+                                aria-label={`${value} out of 5`}
+                            >
+                                ★
+                            </button>
+                        ))}
+                    </div>
+                    <textarea
+                        value={comment}
+                        onChange={(e) => setComment(e.target.value)}
+                        rows="2"
+                        maxLength="1000"
+                        placeholder="Anything you'd like to add? (optional)"
+                    />
+                    <button type="submit" disabled={!score || saving}>
+                        {saving ? 'Sending...' : 'Submit Rating'}
+                    </button>
+                </form>
+            )}
+        </div>
+    );
+}
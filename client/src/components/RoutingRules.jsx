@@ -0,0 +1,146 @@
+import { useState, useEffect } from 'react';
+import api from '../utils/api';
+import { useConfigOptions } from '../utils/config';
+
+const EMPTY_RULE = { name: '', categories: [], departments: [], workLocations: [], assignees: [], order: 0 };
+
+/**
+ * Routing Rules Component
+ * Configure how new complaints are auto-assigned (rendered inside the Admin page)
+ * Empty lists match anything; the first matching active rule (lowest order) wins
+ */
+export default function RoutingRules({ handlers, showToast }) {
+    const [rules, setRules] = useState([]);
+    const [form, setForm] = useState(EMPTY_RULE);
+    const [showForm, setShowForm] = useState(false);
+    const options = useConfigOptions('/admin/config');
+
+    useEffect(() => {
+        fetchRules();
+    }, []);
+
+    const fetchRules = async () => {
+        try {
+            const res = await api.get('/admin/routing-rules');
+            if (res.data.success) setRules(res.data.rules);
+        } catch (err) {
+            console.error('Fetch routing rules error:', err);
+            showToast('Failed to load routing rules', 'error');
+        }
+    };
+
+    const toggleValue = (key, value) => {
+        const list = form[key];
+        setForm({ ...form, [key]: list.includes(value) ? list.filter(v => v !== value) : [...list, value] });
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        try {
+            const res = await api.post('/admin/routing-rules', { ...form, order: Number(form.order) || 0 });
+            if (res.data.success) {
+                setRules(prev => [...prev, res.data.rule].sort((a, b) => a.order - b.order));
+                setForm(EMPTY_RULE);
+                setShowForm(false);
+                showToast('Routing rule created', 'success');
+            }
+        } catch (err) {
+            console.error('Create routing rule error:', err);
+            showToast(err.response?.data?.message || 'Failed to create rule', 'error');
+        }
+    };
+
+    const toggleActive = async (rule) => {
+        try {
+            const res = await api.patch(`/admin/routing-rules/${rule._id}`, { isActive: !rule.isActive });
+            if (res.data.success) setRules(prev => prev.map(r => r._id === rule._id ? res.data.rule : r));
+        } catch (err) {
+            console.error('Update routing rule error:', err);
+            showToast(err.response?.data?.message || 'Failed to update rule', 'error');
+        }
+    };
+
+    const deleteRule = async (id) => {
+        try {
+            const res = await api.delete(`/admin/routing-rules/${id}`);
+            if (res.data.success) {
+                setRules(prev => prev.filter(r => r._id !== id));
+                showToast('Routing rule deleted', 'success');
+            }
+        } catch (err) {
+            console.error('Delete routing rule error:', err);
+            showToast(err.response?.data?.message || 'Failed to delete rule', 'error');
+        }
+    };
+
+    const describe = (list) => (list.length ? list.join(', ') : 'Any');
+
+    return (
+        <>
+            <div className="header-row">
+                <h2>Routing Rules ({rules.length})</h2>
+                <button className="btn" onClick={() => setShowForm(!showForm)}>{showForm ? 'Cancel' : '+ New Rule'}</button>
+            </div>
+
+            {showForm && (
+                <form className="rule-form" onSubmit={handleCreate}>
+                    <div className="rule-form-row">
+                        <input type="text" placeholder="Rule name (e.g. PF/ESI to payroll)" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} required />
+                        <input type="number" placeholder="Order" title="Lower runs first" value={form.order} onChange={(e) => setForm({ ...form, order: e.target.value })} />
+                    </div>
+                    <fieldset>
+                        <legend>Categories</legend>
+                        {options.categories.filter(c => c.isActive).map(c => (
+                            <label key={c.value}><input type="checkbox" checked={form.categories.includes(c.value)} onChange={() => toggleValue('categories', c.value)} /> {c.label}</label>
+                        ))}
+                    </fieldset>
+                    <fieldset>
+                        <legend>Departments</legend>
+                        {options.departments.filter(d => d.isActive).map(d => (
+                            <label key={d.value}><input type="checkbox" checked={form.departments.includes(d.value)} onChange={() => toggleValue('departments', d.value)} /> {d.label}</label>
+                        ))}
+                    </fieldset>
+                    <fieldset>
+                        <legend>Work Locations</legend>
+                        {options.workLocations.filter(l => l.isActive).map(l => (
+                            <label key={l.value}><input type="checkbox" checked={form.workLocations.includes(l.value)} onChange={() => toggleValue('workLocations', l.value)} /> {l.label}</label>
+                        ))}
+                    </fieldset>
+                    <fieldset>
+                        <legend>Assign to (least busy first)</legend>
+                        {handlers.map(h => (
+                            <label key={h._id}><input type="checkbox" checked={form.assignees.includes(h._id)} onChange={() => toggleValue('assignees', h._id)} /> {h.name}</label>
+                        ))}
+                    </fieldset>
+                    <button type="submit" className="btn-approve" disabled={form.assignees.length === 0}>Create Rule</button>
+                </form>
+            )}
+
+            {rules.length === 0 ? <div className="empty">No routing rules - new complaints stay unassigned</div> : (
+                <table>
+                    <thead><tr><th>Order</th><th>Name</th><th>Categories</th><th>Departments</th><th>Locations</th><th>Assignees</th><th>Actions</th></tr></thead>
+                    <tbody>
+                        {rules.map(r => (
+                            <tr key={r._id}>
+                                <td data-label="Order">{r.order}</td>
+                                <td data-label="Name"><strong>{r.name}</strong></td>
+                                <td data-label="Categories">{describe(r.categories)}</td>
+                                <td data-label="Departments">{describe(r.departments)}</td>
+                                <td data-label="Locations">{describe(r.workLocations)}</td>
+                                <td data-label="Assignees">{r.assignees.map(a => a.name).join(', ') || '—'}</td>
+                                <td data-label="">
+                                    <div className="approval-actions">
+                                        <button className={r.isActive ? 'btn-reject' : 'btn-approve'} onClick={() => toggleActive(r)}>
+                                            {r.isActive ? 'Disable' : 'Enable'}
+                                        </button>
+                                        <button className="btn-icon-delete" onClick={() => deleteRule(r._id)}>🗑️</button>
+                                    </div>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </>
+    );
+}
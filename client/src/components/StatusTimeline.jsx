@@ -0,0 +1,75 @@
+import { statusLabel } from '../utils/complaints';
+import './StatusTimeline.css';
+
+const FIELD_LABELS = { category: 'Category', priority: 'Priority', message: 'Description', details: 'Details' };
+
+const formatDetails = (details = []) => details.map(d => `${d.label}: ${d.value}`).join('; ') || 'none';
+
+// One line per edited field; the previous description is kept in full since it may be long
+const describeChange = ({ field, from, to }) => {
+    if (field === 'message') return `${FIELD_LABELS.message} changed. Previously: "${from}"`;
+    if (field === 'details') return `${FIELD_LABELS.details}: ${formatDetails(from)} → ${formatDetails(to)}`;
+    return `${FIELD_LABELS[field] || field}: ${from} → ${to}`;
+};
+
+/**
+ * Status Timeline Component
+ * Renders a complaint's submission, status changes, employee edits and SLA escalations, oldest first
+ */
+export default function StatusTimeline({ complaint }) {
+    const history = [
+        ...(complaint.statusHistory || []).map(change => ({ ...change, kind: 'status' })),
+        ...(complaint.escalations || []).map(esc => ({ ...esc, kind: 'escalation' })),
+        ...(complaint.editHistory || []).map(edit => ({ ...edit, kind: 'edit' }))
+    ].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+    const formatTime = (date) => {
+        return new Date(date).toLocaleString('en-IN', {
+            day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit'
+        });
+    };
+
+    return (
+        <div className="status-timeline">
+            <h3>Timeline</h3>
+            <ul>
+                <li>
+                    <div className="timeline-head">
+                        <strong>Submitted</strong>
+                        <span>{formatTime(complaint.createdAt)}</span>
+                    </div>
+                </li>
+                {history.map(item => item.kind === 'edit' ? (
+                    <li key={item._id} className="edit">
+                        <div className="timeline-head">
+                            <strong>Edited</strong>
+                            <span>{formatTime(item.createdAt)}</span>
+                        </div>
+                        {item.editedByName && <small>by {item.editedByName}</small>}
+                        {item.changes.map(change => <p key={change.field}>{describeChange(change)}</p>)}
+                    </li>
+                ) : item.kind === 'escalation' ? (
+                    <li key={item._id} className="escalation">
+                        <div className="timeline-head">
+                            <strong>Escalated - {item.type === 'first_response' ? 'first response' : 'resolution'} SLA missed</strong>
+                            <span>{formatTime(item.createdAt)}</span>
+                        </div>
+                        <small>
+                            Priority {item.fromPriority} → {item.toPriority}
+                            {item.reassignedToName && ` • reassigned to ${item.reassignedToName}`}
+                        </small>
+                    </li>
+                ) : (
+                    <li key={item._id} className={item.to}>
+                        <div className="timeline-head">
+                            <strong>{item.from ? `${statusLabel(item.from)} → ` : ''}{statusLabel(item.to)}</strong>
+                            <span>{formatTime(item.createdAt)}</span>
+                        </div>
+                        {item.changedByName && <small>by {item.changedByName}</small>}
+                        {item.note && <p>{item.note}</p>}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
@@ -0,0 +1,131 @@
+import { useState, useEffect } from 'react';
+import api from '../utils/api';
+import { statusLabel, reporterName } from '../utils/complaints';
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+
+/**
+ * Trash Component
+ * Deleted complaints and employees with restore, until the retention job purges them (rendered inside the Admin page)
+ * Each section shows only when the admin may delete that kind of record
+ */
+export default function Trash({ canComplaints, canUsers, showToast }) {
+    const [complaints, setComplaints] = useState([]);
+    const [users, setUsers] = useState([]);
+    const [retentionDays, setRetentionDays] = useState(null);
+    const [page, setPage] = useState(1);
+    const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+
+    useEffect(() => {
+        if (canComplaints) fetchComplaints();
+    }, [page]);
+
+    useEffect(() => {
+        if (canUsers) fetchUsers();
+    }, []);
+
+    const fetchComplaints = async () => {
+        try {
+            const res = await api.get('/admin/trash/complaints', { params: { page } });
+            if (res.data.success) {
+                setComplaints(res.data.complaints);
+                setPagination(res.data.pagination);
+                setRetentionDays(res.data.retentionDays);
+            }
+        } catch (err) {
+            console.error('Fetch trashed complaints error:', err);
+            showToast('Failed to load deleted complaints', 'error');
+        }
+    };
+
+    const fetchUsers = async () => {
+        try {
+            const res = await api.get('/admin/trash/users');
+            if (res.data.success) {
+                setUsers(res.data.users);
+                setRetentionDays(res.data.retentionDays);
+            }
+        } catch (err) {
+            console.error('Fetch trashed users error:', err);
+            showToast('Failed to load deleted employees', 'error');
+        }
+    };
+
+    const restore = async (type, id) => {
+        try {
+            const res = await api.post(`/admin/trash/${type}/${id}/restore`);
+            if (res.data.success) {
+                // Restoring an employee brings their complaints back too
+                if (canComplaints) fetchComplaints();
+                if (type === 'users') fetchUsers();
+                showToast(res.data.message, 'success');
+            }
+        } catch (err) {
+            console.error('Restore error:', err);
+            showToast(err.response?.data?.message || 'Failed to restore', 'error');
+        }
+    };
+
+    return (
+        <>
+            <div className="header-row"><h2>Trash</h2></div>
+            {retentionDays && (
+                <p className="trash-hint">Deleted items are kept for {retentionDays} days and then removed permanently, along with their attachments.</p>
+            )}
+
+            {canComplaints && (
+                <section className="config-section">
+                    <h3>Complaints ({pagination.total})</h3>
+                    {complaints.length === 0 ? <div className="empty">No deleted complaints</div> : (
+                        <table>
+                            <thead><tr><th>Reference</th><th>From</th><th>Category</th><th>Status</th><th>Deleted</th><th>Purged on</th><th></th></tr></thead>
+                            <tbody>
+                                {complaints.map(c => (
+                                    <tr key={c._id}>
+                                        <td data-label="Reference">{c.referenceNumber}</td>
+                                        <td data-label="From"><strong>{reporterName(c)}</strong></td>
+                                        <td data-label="Category">{c.category}</td>
+                                        <td data-label="Status"><span className={`status ${c.status}`}>{statusLabel(c.status)}</span></td>
+                                        <td data-label="Deleted">{formatDate(c.deletedAt)}{c.deletedByName && ` by ${c.deletedByName}`}</td>
+                                        <td data-label="Purged on">{formatDate(c.purgeAt)}</td>
+                                        <td data-label=""><button className="btn-approve" onClick={() => restore('complaints', c._id)}>Restore</button></td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                    {pagination.pages > 1 && (
+                        <div className="pagination">
+                            <button disabled={page <= 1} onClick={() => setPage(page - 1)}>← Prev</button>
+                            <span>Page {pagination.page} of {pagination.pages}</span>
+                            <button disabled={page >= pagination.pages} onClick={() => setPage(page + 1)}>Next →</button>
+                        </div>
+                    )}
+                </section>
+            )}
+
+            {canUsers && (
+                <section className="config-section">
+                    <h3>Employees ({users.length})</h3>
+                    {users.length === 0 ? <div className="empty">No deleted employees</div> : (
+                        <table>
+                            <thead><tr><th>Phone</th><th>Name</th><th>Dept</th><th>Deleted</th><th>Purged on</th><th></th></tr></thead>
+                            <tbody>
+                                {users.map(u => (
+                                    <tr key={u._id}>
+                                        <td data-label="Phone">{u.employeeNumber}</td>
+                                        <td data-label="Name"><strong>{u.name}</strong></td>
+                                        <td data-label="Dept"><span className="badge">{u.department}</span></td>
+                                        <td data-label="Deleted">{formatDate(u.deletedAt)}{u.deletedByName && ` by ${u.deletedByName}`}</td>
+                                        <td data-label="Purged on">{formatDate(u.purgeAt)}</td>
+                                        <td data-label=""><button className="btn-approve" onClick={() => restore('users', u._id)}>Restore</button></td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </section>
+            )}
+        </>
+    );
+}
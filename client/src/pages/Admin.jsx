@@ -1,11 +1,49 @@
-import { useState, useEffect } from 'react';
-import api from '../utils/api';
+import { useState, useEffect, useRef } from 'react';
+import api, { announceAuthChange, downloadFile, saveSession, logout } from '../utils/api';
+import { subscribeToEvents } from '../utils/events';
+import { countUnread, statusLabel, isOverdue, reporterName } from '../utils/complaints';
+import { useConfigOptions } from '../utils/config';
+import ConversationThread from '../components/ConversationThread';
+import AdminAccounts from '../components/AdminAccounts';
+import RoutingRules from '../components/RoutingRules';
+import ConfigOptions from '../components/ConfigOptions';
+import ComplaintDetails from '../components/ComplaintDetails';
+import ResolutionFeedback from '../components/ResolutionFeedback';
+import Trash from '../components/Trash';
+import AnalyticsDashboard from '../components/AnalyticsDashboard';
+import EmployeeImport from '../components/EmployeeImport';
+import BulkActionBar from '../components/BulkActionBar';
+import StatusTimeline from '../components/StatusTimeline';
+import AttachmentList from '../components/AttachmentList';
 import './Admin.css';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+const PAGE_SIZE = 20;
+const ROLE_LABELS = {
+    super_admin: 'Super Admin',
+    hr_officer: 'HR Officer',
+    department_handler: 'Department Handler',
+    auditor: 'Auditor'
+};
+const EMPTY_FILTERS = { status: 'All', priority: '', category: '', department: '', assignedTo: '', overdue: '', from: '', to: '', search: '', sort: '-createdAt' };
+const EMPTY_USER_FILTERS = { approvalStatus: '', department: '', workLocation: '', search: '' };
+
+// Only send filters that are actually set
+const activeParams = (filters) => {
+    const params = {};
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value && value !== 'All') params[key] = value;
+    });
+    return params;
+};
+
+// Filters keep deactivated options so older records can still be found
+const optionTag = (o) => <option key={o.value} value={o.value}>{o.isActive ? o.label : `${o.label} (inactive)`}</option>;
 
 export default function Admin() {
     const [isAuth, setIsAuth] = useState(false);
+    const options = useConfigOptions(isAuth ? '/admin/config' : null);
+    const [admin, setAdmin] = useState(() => JSON.parse(localStorage.getItem('adminUser') || 'null'));
     const [creds, setCreds] = useState({ username: '', password: '' });
     const [error, setError] = useState('');
     const [tab, setTab] = useState('complaints');
@@ -13,7 +51,21 @@ export default function Admin() {
     const [pendingUsers, setPendingUsers] = useState([]);
     const [complaints, setComplaints] = useState([]);
     const [selected, setSelected] = useState(null);
-    const [filter, setFilter] = useState('All');
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [searchInput, setSearchInput] = useState('');
+    const [userFilters, setUserFilters] = useState(EMPTY_USER_FILTERS);
+    const [userSearchInput, setUserSearchInput] = useState('');
+    const [exporting, setExporting] = useState('');
+    const [showImport, setShowImport] = useState(false);
+    const [selection, setSelection] = useState([]);
+    const [bulkResult, setBulkResult] = useState(null);
+    const [page, setPage] = useState(1);
+    const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+    const [complaintStats, setComplaintStats] = useState({ total: 0, pending: 0, in_progress: 0, resolved: 0, overdue: 0 });
+    const [handlers, setHandlers] = useState([]);
+    const [workflow, setWorkflow] = useState({ statuses: [], transitions: {} });
+    const [statusNote, setStatusNote] = useState('');
+    const [reporter, setReporter] = useState(null);
     const [deleteModal, setDeleteModal] = useState({ show: false, id: null, type: null, title: '' });
     const [toast, setToast] = useState({ show: false, message: '', type: '' });
 
@@ -24,12 +76,50 @@ export default function Admin() {
 
     useEffect(() => {
         if (isAuth) {
+            fetchProfile();
+            fetchStats();
+            fetchHandlers();
+            fetchWorkflow();
+        }
+    }, [isAuth]);
+
+    useEffect(() => {
+        if (isAuth && can('users:read')) {
             fetchUsers();
             fetchPendingUsers();
-            fetchComplaints();
         }
+    }, [isAuth, admin?.adminRole]);
+
+    useEffect(() => {
+        if (isAuth && can('users:read')) fetchUsers();
+    }, [userFilters]);
+
+    // A selection only applies to the rows currently on screen
+    useEffect(() => {
+        setSelection([]);
+    }, [tab, filters, page, userFilters]);
+
+    // "My queue" shares the complaints table, limited to what is assigned to me
+    const isComplaintTab = tab === 'complaints' || tab === 'queue';
+
+    useEffect(() => {
+        if (isAuth && isComplaintTab) fetchComplaints();
+    }, [isAuth, filters, page, tab]);
+
+    // The live-update subscription is opened once, so it calls the latest handler through a ref
+    const live = useRef({});
+
+    useEffect(() => {
+        if (!isAuth) return undefined;
+        return subscribeToEvents('/admin/events', localStorage.getItem('adminToken'), (event, data) => {
+            live.current.handleEvent?.(event, data);
+        });
     }, [isAuth]);
 
+    // Permission check against the list the server sent for this admin's role
+    const can = (permission) => Boolean(admin?.permissions?.includes(permission));
+    const canTrash = can('complaints:delete') || can('users:delete');
+
     const showToast = (message, type = 'success') => {
         setToast({ show: true, message, type });
         setTimeout(() => setToast({ show: false, message: '', type: '' }), 3000);
@@ -45,7 +135,10 @@ export default function Admin() {
             });
 
             if (res.data.success && res.data.token) {
-                localStorage.setItem('adminToken', res.data.token);
+                saveSession('admin', res.data);
+                localStorage.setItem('adminUser', JSON.stringify(res.data.user));
+                announceAuthChange();
+                setAdmin(res.data.user);
                 setIsAuth(true);
                 setError('');
             } else {
@@ -59,12 +152,36 @@ export default function Admin() {
 
     const handleLogout = () => {
         setIsAuth(false);
-        localStorage.removeItem('adminToken');
+        setAdmin(null);
+        logout('admin');
+    };
+
+    const handleLogoutAll = async () => {
+        if (!window.confirm('Sign out of the admin dashboard on all your devices, including this one?')) return;
+        try {
+            await api.post('/account/logout-all');
+            handleLogout();
+        } catch (err) {
+            showToast(err.response?.data?.message || 'Failed to sign out of all devices', 'error');
+        }
+    };
+
+    const fetchProfile = async () => {
+        try {
+            // Refresh role/permissions in case a super-admin changed them
+            const res = await api.get('/admin/me');
+            if (res.data.success) {
+                setAdmin(res.data.user);
+                localStorage.setItem('adminUser', JSON.stringify(res.data.user));
+            }
+        } catch (err) {
+            console.error('Fetch profile error:', err);
+        }
     };
 
     const fetchUsers = async () => {
         try {
-            const res = await api.get('/admin/users');
+            const res = await api.get('/admin/users', { params: activeParams(userFilters) });
             if (res.data.success) setUsers(res.data.users);
         } catch (err) {
             console.error('Fetch users error:', err);
@@ -81,16 +198,145 @@ export default function Admin() {
         }
     };
 
+    const complaintParams = () => {
+        const params = activeParams(filters);
+        if (tab === 'queue') params.assignedTo = 'me';
+        return params;
+    };
+
     const fetchComplaints = async () => {
         try {
-            const res = await api.get('/admin/complaints');
-            if (res.data.success) setComplaints(res.data.complaints);
+            const params = { ...complaintParams(), page, limit: PAGE_SIZE };
+            const res = await api.get('/admin/complaints', { params });
+            if (res.data.success) {
+                setComplaints(res.data.complaints);
+                setPagination(res.data.pagination);
+            }
         } catch (err) {
             console.error('Fetch complaints error:', err);
             showToast('Failed to load complaints', 'error');
         }
     };
 
+    const fetchStats = async () => {
+        try {
+            const res = await api.get('/admin/complaints/stats');
+            if (res.data.success) setComplaintStats(res.data.stats);
+        } catch (err) {
+            console.error('Fetch stats error:', err);
+        }
+    };
+
+    const fetchHandlers = async () => {
+        try {
+            const res = await api.get('/admin/handlers');
+            if (res.data.success) setHandlers(res.data.handlers);
+        } catch (err) {
+            console.error('Fetch handlers error:', err);
+        }
+    };
+
+    const fetchWorkflow = async () => {
+        try {
+            const res = await api.get('/admin/workflow');
+            if (res.data.success) setWorkflow(res.data);
+        } catch (err) {
+            console.error('Fetch workflow error:', err);
+        }
+    };
+
+    // Merge a pushed update into the dashboard
+    live.current.handleEvent = (event, data) => {
+        if (event.startsWith('user.')) {
+            fetchUsers();
+            fetchPendingUsers();
+            if (event === 'user.registered') showToast(`New registration: ${data.user.name}`, 'success');
+            return;
+        }
+
+        if (!event.startsWith('complaint.')) return;
+        const { complaint } = data;
+        fetchStats();
+
+        if (event === 'complaint.created' || event === 'complaint.restored') {
+            // Let the server decide whether it belongs on the current filtered page
+            if (isComplaintTab) fetchComplaints();
+            if (event === 'complaint.created') showToast(`New complaint ${complaint.referenceNumber}`, 'success');
+        } else if (event === 'complaint.deleted') {
+            setComplaints(prev => prev.filter(c => c._id !== complaint._id));
+            if (selected?._id === complaint._id) setSelected(null);
+        } else {
+            setComplaints(prev => prev.map(c => c._id === complaint._id ? complaint : c));
+            if (selected?._id === complaint._id) {
+                setSelected(complaint);
+                // A reply arriving in the open thread has been seen
+                if (event === 'complaint.message') api.get(`/admin/complaints/${complaint._id}/messages`).catch(() => {});
+            }
+        }
+    };
+
+    const switchTab = (next) => {
+        setTab(next);
+        setSelected(null);
+        setPage(1);
+    };
+
+    const updateFilter = (key, value) => {
+        setFilters(prev => ({ ...prev, [key]: value }));
+        setPage(1);
+    };
+
+    const applySearch = (e) => {
+        e.preventDefault();
+        updateFilter('search', searchInput.trim());
+    };
+
+    const resetFilters = () => {
+        setFilters(EMPTY_FILTERS);
+        setSearchInput('');
+        setPage(1);
+    };
+
+    const updateUserFilter = (key, value) => {
+        setUserFilters(prev => ({ ...prev, [key]: value }));
+    };
+
+    const applyUserSearch = (e) => {
+        e.preventDefault();
+        updateUserFilter('search', userSearchInput.trim());
+    };
+
+    const resetUserFilters = () => {
+        setUserFilters(EMPTY_USER_FILTERS);
+        setUserSearchInput('');
+    };
+
+    // Download what the list is currently showing (all pages) as a spreadsheet
+    const exportList = async (kind, format) => {
+        const params = kind === 'complaints' ? complaintParams() : activeParams(userFilters);
+        const date = new Date().toISOString().slice(0, 10);
+        setExporting(`${kind}-${format}`);
+        try {
+            await downloadFile(`/admin/${kind}/export`, `${kind}-${date}.${format}`, { params: { ...params, format } });
+        } catch (err) {
+            console.error('Export error:', err);
+            showToast('Export failed', 'error');
+        } finally {
+            setExporting('');
+        }
+    };
+
+    const exportButtons = (kind) => (
+        <>
+            <button className="btn-export" disabled={Boolean(exporting)} onClick={() => exportList(kind, 'csv')}>
+                {exporting === `${kind}-csv` ? 'Exporting...' : '⬇ CSV'}
+            </button>
+            <button className="btn-export" disabled={Boolean(exporting)} onClick={() => exportList(kind, 'xlsx')}>
+                {exporting === `${kind}-xlsx` ? 'Exporting...' : '⬇ Excel'}
+            </button>
+        </>
+    );
+
     const handleUserApproval = async (userId, status) => {
         try {
             const res = await api.patch(`/admin/users/${userId}/approval`, { approvalStatus: status });
@@ -105,12 +351,48 @@ export default function Admin() {
         }
     };
 
+    const toggleSelected = (id) => {
+        setSelection(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+    };
+
+    const toggleSelectAll = (ids) => {
+        setSelection(prev => (ids.length > 0 && ids.every(id => prev.includes(id)) ? [] : ids));
+    };
+
+    // Apply a batch endpoint to the selected rows - a rejected batch changes nothing and lists why
+    const runBulkAction = async (path, body = {}) => {
+        try {
+            const res = await api.post(`/admin/${path}`, { ids: selection, ...body });
+            if (res.data.success) {
+                showToast(res.data.message, 'success');
+                setSelection([]);
+            }
+        } catch (err) {
+            console.error('Bulk action error:', err);
+            if (err.response?.status === 409) setBulkResult(err.response.data);
+            else showToast(err.response?.data?.message || 'Bulk action failed', 'error');
+        } finally {
+            if (path.startsWith('users/')) {
+                fetchUsers();
+                fetchPendingUsers();
+            }
+            fetchComplaints();
+            fetchStats();
+        }
+    };
+
     const confirmDelete = (id, type, title) => {
         setDeleteModal({ show: true, id, type, title });
     };
 
     const executeDelete = async () => {
         const { id, type } = deleteModal;
+        if (type === 'bulk-users' || type === 'bulk-complaints') {
+            setDeleteModal({ show: false, id: null, type: null, title: '' });
+            await runBulkAction(type === 'bulk-users' ? 'users/bulk/delete' : 'complaints/bulk/delete');
+            return;
+        }
+
         try {
             const endpoint = type === 'user' ? `/admin/users/${id}` : `/admin/complaints/${id}`;
             const res = await api.delete(endpoint);
@@ -124,7 +406,8 @@ export default function Admin() {
                     fetchComplaints();
                     setSelected(null);
                 }
-                showToast(`${type === 'user' ? 'User' : 'Complaint'} deleted successfully`, 'success');
+                fetchStats();
+                showToast(res.data.message, 'success');
             } else {
                 showToast(res.data.message || 'Delete failed', 'error');
             }
@@ -138,11 +421,13 @@ export default function Admin() {
 
     const updateStatus = async (id, status) => {
         try {
-            const res = await api.patch(`/admin/complaints/${id}/status`, { status });
+            const res = await api.patch(`/admin/complaints/${id}/status`, { status, note: statusNote });
             if (res.data.success) {
                 fetchComplaints();
+                fetchStats();
+                setStatusNote('');
                 if (selected?._id === id) setSelected(res.data.complaint);
-                showToast(`Status updated to ${status}`, 'success');
+                showToast(`Status updated to ${statusLabel(status)}`, 'success');
             }
         } catch (err) {
             console.error('Update status error:', err);
@@ -150,21 +435,99 @@ export default function Admin() {
         }
     };
 
+    const openComplaint = async (complaint) => {
+        setSelected(complaint);
+        setStatusNote('');
+        setReporter(null);
+        try {
+            // Loading the thread also marks the employee's messages as read
+            const res = await api.get(`/admin/complaints/${complaint._id}/messages`);
+            if (res.data.success) {
+                const updated = { ...complaint, messages: res.data.messages };
+                setSelected(updated);
+                setComplaints(prev => prev.map(c => c._id === updated._id ? updated : c));
+            }
+        } catch (err) {
+            console.error('Fetch messages error:', err);
+            showToast('Failed to load conversation', 'error');
+        }
+    };
+
+    // Super admins only - the server refuses everyone else and records who looked and why
+    const revealReporter = async () => {
+        const reason = window.prompt('Why do you need to see who filed this complaint? This is recorded.');
+        if (reason === null) return;
+        try {
+            const res = await api.post(`/admin/complaints/${selected._id}/reporter`, { reason });
+            if (res.data.success) setReporter({ identity: res.data.reporter, reveals: res.data.reveals });
+        } catch (err) {
+            console.error('Reveal reporter error:', err);
+            showToast(err.response?.data?.message || 'Failed to load reporter', 'error');
+        }
+    };
+
+    const sendReply = async (body) => {
+        try {
+            const res = await api.post(`/admin/complaints/${selected._id}/messages`, { body });
+            if (res.data.success) {
+                setSelected(res.data.complaint);
+                setComplaints(prev => prev.map(c => c._id === res.data.complaint._id ? res.data.complaint : c));
+                showToast('Reply sent', 'success');
+            }
+        } catch (err) {
+            console.error('Send reply error:', err);
+            showToast(err.response?.data?.message || 'Failed to send reply', 'error');
+            throw err;
+        }
+    };
+
+    const assignComplaint = async (id, assignedTo) => {
+        try {
+            const res = await api.patch(`/admin/complaints/${id}/assign`, { assignedTo: assignedTo || null });
+            if (res.data.success) {
+                fetchComplaints();
+                if (selected?._id === id) setSelected(res.data.complaint);
+                showToast(assignedTo ? `Assigned to ${res.data.complaint.assignedToName}` : 'Complaint unassigned', 'success');
+            }
+        } catch (err) {
+            console.error('Assign complaint error:', err);
+            showToast(err.response?.data?.message || 'Failed to assign complaint', 'error');
+        }
+    };
+
     const formatDate = (date) => {
         return new Date(date).toLocaleDateString('en-IN', {
             day: '2-digit', month: 'short', year: 'numeric'
         });
     };
 
-    const filtered = filter === 'All' ? complaints : complaints.filter(c => c.status === filter);
-    const stats = {
-        total: complaints.length,
-        pending: complaints.filter(c => c.status === 'pending').length,
-        received: complaints.filter(c => c.status === 'received').length,
-        resolved: complaints.filter(c => c.status === 'resolved').length,
-        users: users.length,
+    const formatDateTime = (date) => {
+        return new Date(date).toLocaleString('en-IN', {
+            day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit'
+        });
     };
 
+    const stats = { ...complaintStats, users: users.length };
+    const canBulkComplaints = can('complaints:update') || can('complaints:assign') || can('complaints:delete');
+    const canBulkUsers = can('users:approve') || can('users:delete');
+
+    // Batches are all-or-nothing, so only offer statuses every selected complaint can move to
+    const bulkStatuses = workflow.statuses.filter(st => selection.length > 0 && complaints
+        .filter(c => selection.includes(c._id))
+        .every(c => (workflow.transitions[c.status] || []).includes(st)));
+
+    const selectBox = (id) => (
+        <input type="checkbox" checked={selection.includes(id)} onChange={() => toggleSelected(id)} aria-label="Select row" />
+    );
+    const selectAllBox = (rows) => (
+        <input
+            type="checkbox"
+            checked={rows.length > 0 && rows.every(r => selection.includes(r._id))}
+            onChange={() => toggleSelectAll(rows.map(r => r._id))}
+            aria-label="Select all"
+        />
+    );
+
     if (!isAuth) {
         return (
             <div className="login-screen">
@@ -192,7 +555,7 @@ export default function Admin() {
                     <div className="modal-content">
                         <div className="modal-icon">⚠️</div>
                         <h3>Are you sure?</h3>
-                        <p>You are about to delete <strong>{deleteModal.title}</strong>. This action cannot be undone.</p>
+                        <p>You are about to delete <strong>{deleteModal.title}</strong>. It can be restored from the Trash until it is removed permanently.</p>
                         <div className="modal-actions">
                             <button className="btn-cancel" onClick={() => setDeleteModal({ ...deleteModal, show: false })}>Cancel</button>
                             <button className="btn-confirm-delete" onClick={executeDelete}>Yes, Delete</button>
@@ -201,99 +564,260 @@ export default function Admin() {
                 </div>
             )}
 
+            {bulkResult && (
+                <div className="modal-overlay">
+                    <div className="modal-content">
+                        <div className="modal-icon">⚠️</div>
+                        <h3>Nothing was changed</h3>
+                        <p>{bulkResult.message}</p>
+                        <ul className="bulk-result-list">
+                            {bulkResult.results.filter(r => !r.success).map(r => (
+                                <li key={r.id}><strong>{r.label || r.id}</strong> - {r.message}</li>
+                            ))}
+                        </ul>
+                        <div className="modal-actions">
+                            <button className="btn-cancel" onClick={() => setBulkResult(null)}>Close</button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
             <header className="admin-header">
-                <div><h1>Admin Dashboard</h1><p>Complaint Management</p></div>
-                <button onClick={handleLogout}>Logout</button>
+                <div><h1>Admin Dashboard</h1><p>{admin ? `${admin.name} • ${ROLE_LABELS[admin.adminRole] || admin.adminRole}` : 'Complaint Management'}</p></div>
+                <div className="header-buttons">
+                    <button onClick={handleLogoutAll} title="End every session of this account">Sign out everywhere</button>
+                    <button onClick={handleLogout}>Logout</button>
+                </div>
             </header>
 
             <div className="stats">
                 <div className="stat blue"><h3>{stats.total}</h3><p>Total</p></div>
                 <div className="stat yellow"><h3>{stats.pending}</h3><p>Pending</p></div>
-                <div className="stat purple"><h3>{stats.received}</h3><p>Recived</p></div>
+                <div className="stat purple"><h3>{stats.in_progress}</h3><p>In Progress</p></div>
                 <div className="stat green"><h3>{stats.resolved}</h3><p>Resolved</p></div>
-                <div className="stat pink"><h3>{stats.users}</h3><p>Users</p></div>
+                <div className="stat orange" onClick={() => { switchTab('complaints'); updateFilter('overdue', 'true'); }} style={{ cursor: 'pointer' }}><h3>{stats.overdue}</h3><p>Overdue</p></div>
+                {can('users:read') && <div className="stat pink"><h3>{stats.users}</h3><p>Users</p></div>}
             </div>
 
             <div className="tabs desktop-tabs">
-                <button className={tab === 'complaints' ? 'active' : ''} onClick={() => setTab('complaints')}>Complaints</button>
-                <button className={tab === 'approvals' ? 'active' : ''} onClick={() => setTab('approvals')}>Approvals {pendingUsers.length > 0 && <span className="badge-count">{pendingUsers.length}</span>}</button>
-                <button className={tab === 'employees' ? 'active' : ''} onClick={() => setTab('employees')}>Employees</button>
+                <button className={tab === 'complaints' ? 'active' : ''} onClick={() => switchTab('complaints')}>Complaints {stats.unread > 0 && <span className="badge-count">{stats.unread}</span>}</button>
+                {can('complaints:update') && <button className={tab === 'queue' ? 'active' : ''} onClick={() => switchTab('queue')}>My Queue</button>}
+                {can('complaints:read') && <button className={tab === 'analytics' ? 'active' : ''} onClick={() => switchTab('analytics')}>Analytics</button>}
+                {can('users:read') && <button className={tab === 'approvals' ? 'active' : ''} onClick={() => switchTab('approvals')}>Approvals {pendingUsers.length > 0 && <span className="badge-count">{pendingUsers.length}</span>}</button>}
+                {can('users:read') && <button className={tab === 'employees' ? 'active' : ''} onClick={() => switchTab('employees')}>Employees</button>}
+                {can('routing:manage') && <button className={tab === 'routing' ? 'active' : ''} onClick={() => switchTab('routing')}>Routing</button>}
+                {can('config:manage') && <button className={tab === 'options' ? 'active' : ''} onClick={() => switchTab('options')}>Options</button>}
+                {can('admins:manage') && <button className={tab === 'admins' ? 'active' : ''} onClick={() => switchTab('admins')}>Admins</button>}
+                {canTrash && <button className={tab === 'trash' ? 'active' : ''} onClick={() => switchTab('trash')}>Trash</button>}
             </div>
 
             {/* Mobile Bottom Navigation */}
             <div className="mobile-nav">
-                <button className={tab === 'complaints' ? 'active' : ''} onClick={() => setTab('complaints')}>
+                <button className={tab === 'complaints' ? 'active' : ''} onClick={() => switchTab('complaints')}>
                     <span className="nav-icon">📋</span>
                     <span className="nav-label">Complaints</span>
+                    {stats.unread > 0 && <span className="mobile-badge">{stats.unread}</span>}
                 </button>
-                <button className={tab === 'approvals' ? 'active' : ''} onClick={() => setTab('approvals')}>
-                    <span className="nav-icon">✓</span>
-                    <span className="nav-label">Approvals</span>
-                    {pendingUsers.length > 0 && <span className="mobile-badge">{pendingUsers.length}</span>}
-                </button>
-                <button className={tab === 'employees' ? 'active' : ''} onClick={() => setTab('employees')}>
-                    <span className="nav-icon">👥</span>
-                    <span className="nav-label">Users</span>
-                </button>
+                {can('complaints:update') && (
+                    <button className={tab === 'queue' ? 'active' : ''} onClick={() => switchTab('queue')}>
+                        <span className="nav-icon">📥</span>
+                        <span className="nav-label">Queue</span>
+                    </button>
+                )}
+                {can('complaints:read') && (
+                    <button className={tab === 'analytics' ? 'active' : ''} onClick={() => switchTab('analytics')}>
+                        <span className="nav-icon">📊</span>
+                        <span className="nav-label">Analytics</span>
+                    </button>
+                )}
+                {can('users:read') && (
+                    <button className={tab === 'approvals' ? 'active' : ''} onClick={() => switchTab('approvals')}>
+                        <span className="nav-icon">✓</span>
+                        <span className="nav-label">Approvals</span>
+                        {pendingUsers.length > 0 && <span className="mobile-badge">{pendingUsers.length}</span>}
+                    </button>
+                )}
+                {can('users:read') && (
+                    <button className={tab === 'employees' ? 'active' : ''} onClick={() => switchTab('employees')}>
+                        <span className="nav-icon">👥</span>
+                        <span className="nav-label">Users</span>
+                    </button>
+                )}
+                {can('routing:manage') && (
+                    <button className={tab === 'routing' ? 'active' : ''} onClick={() => switchTab('routing')}>
+                        <span className="nav-icon">🔀</span>
+                        <span className="nav-label">Routing</span>
+                    </button>
+                )}
+                {can('config:manage') && (
+                    <button className={tab === 'options' ? 'active' : ''} onClick={() => switchTab('options')}>
+                        <span className="nav-icon">🗂️</span>
+                        <span className="nav-label">Options</span>
+                    </button>
+                )}
+                {can('admins:manage') && (
+                    <button className={tab === 'admins' ? 'active' : ''} onClick={() => switchTab('admins')}>
+                        <span className="nav-icon">🛡️</span>
+                        <span className="nav-label">Admins</span>
+                    </button>
+                )}
+                {canTrash && (
+                    <button className={tab === 'trash' ? 'active' : ''} onClick={() => switchTab('trash')}>
+                        <span className="nav-icon">🗑️</span>
+                        <span className="nav-label">Trash</span>
+                    </button>
+                )}
             </div>
 
             <div className="content">
-                {tab === 'complaints' && !selected && (
+                {isComplaintTab && !selected && (
                     <>
                         <div className="header-row">
-                            <h2>Complaints ({filtered.length})</h2>
-                            <select value={filter} onChange={(e) => setFilter(e.target.value)}>
-                                <option value="All">All</option>
-                                <option value="pending">Pending</option>
-                                <option value="received">Review</option>
-                                <option value="resolved">Resolved</option>
+                            <h2>{tab === 'queue' ? 'My Queue' : 'Complaints'} ({pagination.total})</h2>
+                            <div className="header-actions">
+                                {exportButtons('complaints')}
+                                <select value={filters.status} onChange={(e) => updateFilter('status', e.target.value)}>
+                                    <option value="All">All</option>
+                                    {workflow.statuses.map(st => <option key={st} value={st}>{statusLabel(st)}</option>)}
+                                </select>
+                            </div>
+                        </div>
+                        <div className="filter-bar">
+                            <form onSubmit={applySearch} className="filter-search">
+                                <input type="search" placeholder="Search message or employee..." value={searchInput} onChange={(e) => setSearchInput(e.target.value)} />
+                                <button type="submit" className="btn">Search</button>
+                            </form>
+                            <select value={filters.priority} onChange={(e) => updateFilter('priority', e.target.value)}>
+                                <option value="">Any priority</option>
+                                <option value="high">High</option>
+                                <option value="medium">Medium</option>
+                                <option value="low">Low</option>
+                            </select>
+                            <select value={filters.category} onChange={(e) => updateFilter('category', e.target.value)}>
+                                <option value="">Any category</option>
+                                {options.categories.map(optionTag)}
+                            </select>
+                            <select value={filters.department} onChange={(e) => updateFilter('department', e.target.value)}>
+                                <option value="">Any department</option>
+                                {options.departments.map(optionTag)}
                             </select>
+                            {tab !== 'queue' && (
+                                <select value={filters.assignedTo} onChange={(e) => updateFilter('assignedTo', e.target.value)}>
+                                    <option value="">Any handler</option>
+                                    <option value="unassigned">Unassigned</option>
+                                    {handlers.map(h => <option key={h._id} value={h._id}>{h.name}</option>)}
+                                </select>
+                            )}
+                            <label className="filter-check">
+                                <input type="checkbox" checked={filters.overdue === 'true'} onChange={(e) => updateFilter('overdue', e.target.checked ? 'true' : '')} />
+                                Overdue only
+                            </label>
+                            <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} title="From date" />
+                            <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} title="To date" />
+                            <select value={filters.sort} onChange={(e) => updateFilter('sort', e.target.value)}>
+                                <option value="-createdAt">Newest first</option>
+                                <option value="createdAt">Oldest first</option>
+                                <option value="-updatedAt">Recently updated</option>
+                                <option value="sla.resolutionDue">Due soonest</option>
+                                <option value="status">Status</option>
+                                <option value="category">Category</option>
+                                <option value="employeeName">Employee name</option>
+                            </select>
+                            <button className="btn-cancel" onClick={resetFilters}>Reset</button>
                         </div>
-                        {filtered.length === 0 ? <div className="empty">No complaints found</div> : (
+                        {canBulkComplaints && (
+                            <BulkActionBar count={selection.length} onClear={() => setSelection([])}>
+                                {can('complaints:update') && (
+                                    <select value="" onChange={(e) => e.target.value && runBulkAction('complaints/bulk/status', { status: e.target.value })}>
+                                        <option value="">{bulkStatuses.length ? 'Change status...' : 'No shared next status'}</option>
+                                        {bulkStatuses.map(st => <option key={st} value={st}>{statusLabel(st)}</option>)}
+                                    </select>
+                                )}
+                                {can('complaints:assign') && (
+                                    <select value="" onChange={(e) => e.target.value && runBulkAction('complaints/bulk/assign', { assignedTo: e.target.value === 'none' ? null : e.target.value })}>
+                                        <option value="">Assign to...</option>
+                                        <option value="none">Unassign</option>
+                                        {handlers.map(h => <option key={h._id} value={h._id}>{h.name}</option>)}
+                                    </select>
+                                )}
+                                {can('complaints:delete') && (
+                                    <button className="btn-icon-delete" onClick={() => confirmDelete(null, 'bulk-complaints', `${selection.length} complaints`)}>🗑️ Delete</button>
+                                )}
+                            </BulkActionBar>
+                        )}
+                        {complaints.length === 0 ? <div className="empty">No complaints found</div> : (
                             <table>
                                 <thead>
-                                    <tr><th>ID</th><th>Employee</th><th>Category</th><th>Priority</th><th>Status</th><th>Date</th><th>Action</th></tr>
+                                    <tr>{canBulkComplaints && <th className="select-cell">{selectAllBox(complaints)}</th>}<th>ID</th><th>Employee</th><th>Category</th><th>Priority</th><th>Status</th><th>Assigned</th><th>Date</th><th>Action</th></tr>
                                 </thead>
                                 <tbody>
-                                    {filtered.map(c => (
+                                    {complaints.map(c => (
                                         <tr key={c._id}>
-                                            <td data-label="PhNo">#{c.employeeNumber || 'N/A'}</td>
-                                            <td data-label="Employee"><strong>{c.employeeName}</strong></td>
+                                            {canBulkComplaints && <td data-label="" className="select-cell">{selectBox(c._id)}</td>}
+                                            <td data-label="PhNo">{c.isAnonymous ? '—' : `#${c.employeeNumber || 'N/A'}`}</td>
+                                            <td data-label="Employee">{c.isAnonymous ? <em>Anonymous</em> : <strong>{c.employeeName}</strong>}</td>
                                             <td data-label="Category"><span className="badge">{c.category}</span></td>
                                             <td data-label="Priority"><span className="badge">{c.priority}</span></td>
-                                            <td data-label="Status"><span className={`status ${c.status}`}>{c.status}</span></td>
+                                            <td data-label="Status">
+                                                <span className={`status ${c.status}`}>{statusLabel(c.status)}</span>
+                                                {isOverdue(c) && <span className="overdue-badge">Overdue</span>}
+                                            </td>
+                                            <td data-label="Assigned">{c.assignedToName || <em>Unassigned</em>}</td>
                                             <td data-label="Date">{formatDate(c.createdAt)}</td>
                                             <td data-label="">
-                                                <button className="btn" onClick={() => setSelected(c)} style={{ marginRight: '5px' }}>View</button>
-                                                <button className="btn-icon-delete" onClick={() => confirmDelete(c._id, 'complaint', `Complaint #${c.employeeNumber}`)}>🗑️</button>
+                                                <button className="btn" onClick={() => openComplaint(c)} style={{ marginRight: '5px' }}>
+                                                    View {countUnread(c.messages, 'admin') > 0 && <span className="badge-count">{countUnread(c.messages, 'admin')}</span>}
+                                                </button>
+                                                {can('complaints:delete') && <button className="btn-icon-delete" onClick={() => confirmDelete(c._id, 'complaint', `Complaint ${c.isAnonymous ? c.referenceNumber : `#${c.employeeNumber}`}`)}>🗑️</button>}
                                             </td>
                                         </tr>
                                     ))}
                                 </tbody>
                             </table>
                         )}
+                        {pagination.pages > 1 && (
+                            <div className="pagination">
+                                <button disabled={page <= 1} onClick={() => setPage(page - 1)}>← Prev</button>
+                                <span>Page {pagination.page} of {pagination.pages}</span>
+                                <button disabled={page >= pagination.pages} onClick={() => setPage(page + 1)}>Next →</button>
+                            </div>
+                        )}
                     </>
                 )}
 
                 {tab === 'approvals' && (
                     <>
                         <div className="header-row"><h2>Pending User Approvals ({pendingUsers.length})</h2></div>
+                        {can('users:approve') && (
+                            <BulkActionBar count={selection.length} onClear={() => setSelection([])}>
+                                <button className="btn-approve" onClick={() => runBulkAction('users/bulk/approval', { approvalStatus: 'approved' })}>✓ Approve</button>
+                                <button className="btn-reject" onClick={() => runBulkAction('users/bulk/approval', { approvalStatus: 'rejected' })}>✕ Reject</button>
+                            </BulkActionBar>
+                        )}
                         {pendingUsers.length === 0 ? <div className="empty">No pending approvals</div> : (
                             <table>
-                                <thead><tr><th>Emp ID</th><th>Name</th><th>Email</th><th>Dept</th><th>Location</th><th>Actions</th></tr></thead>
+                                <thead><tr>{can('users:approve') && <th className="select-cell">{selectAllBox(pendingUsers)}</th>}<th>Emp ID</th><th>Phone</th><th>Name</th><th>Email</th><th>Dept</th><th>Location</th><th>Actions</th></tr></thead>
                                 <tbody>
                                     {pendingUsers.map(u => (
                                         <tr key={u._id}>
+                                            {can('users:approve') && <td data-label="" className="select-cell">{selectBox(u._id)}</td>}
                                             <td data-label="Emp ID">#{u.employeeNumber}</td>
+                                            <td data-label="Phone">
+                                                {u.phoneVerifiedAt
+                                                    ? <span className="badge phone-badge verified" title={`Verified ${new Date(u.phoneVerifiedAt).toLocaleString()}`}>✓ Verified</span>
+                                                    : <span className="badge phone-badge">Not verified</span>}
+                                            </td>
                                             <td data-label="Name"><strong>{u.name}</strong></td>
                                             <td data-label="Email">{u.email}</td>
                                             <td data-label="Dept"><span className="badge">{u.department}</span></td>
                                             <td data-label="Location"><span className="badge">{u.workLocation}</span></td>
                                             <td data-label="">
-                                                <div className="approval-actions">
-                                                    <button className="btn-approve" onClick={() => handleUserApproval(u._id, 'approved')}>✓</button>
-                                                    <button className="btn-reject" onClick={() => handleUserApproval(u._id, 'rejected')}>✕</button>
-                                                </div>
+                                                {can('users:approve') && (
+                                                    <div className="approval-actions">
+                                                        <button className="btn-approve" onClick={() => handleUserApproval(u._id, 'approved')}>✓</button>
+                                                        <button className="btn-reject" onClick={() => handleUserApproval(u._id, 'rejected')}>✕</button>
+                                                    </div>
+                                                )}
                                             </td>
                                         </tr>
                                     ))}
@@ -305,13 +829,57 @@ export default function Admin() {
 
                 {tab === 'employees' && (
                     <>
-                        <div className="header-row"><h2>All Employees ({users.length})</h2></div>
+                        <div className="header-row">
+                            <h2>All Employees ({users.length})</h2>
+                            <div className="header-actions">
+                                {can('users:approve') && <button className="btn" onClick={() => setShowImport(!showImport)}>⬆ Import CSV</button>}
+                                {exportButtons('users')}
+                            </div>
+                        </div>
+                        {showImport && can('users:approve') && (
+                            <EmployeeImport showToast={showToast} onImported={fetchUsers} onClose={() => setShowImport(false)} />
+                        )}
+                        <div className="filter-bar">
+                            <form onSubmit={applyUserSearch} className="filter-search">
+                                <input type="search" placeholder="Search name, email or phone..." value={userSearchInput} onChange={(e) => setUserSearchInput(e.target.value)} />
+                                <button type="submit" className="btn">Search</button>
+                            </form>
+                            <select value={userFilters.approvalStatus} onChange={(e) => updateUserFilter('approvalStatus', e.target.value)}>
+                                <option value="">Any status</option>
+                                <option value="approved">Approved</option>
+                                <option value="pending">Pending</option>
+                                <option value="rejected">Rejected</option>
+                            </select>
+                            <select value={userFilters.department} onChange={(e) => updateUserFilter('department', e.target.value)}>
+                                <option value="">Any department</option>
+                                {options.departments.map(optionTag)}
+                            </select>
+                            <select value={userFilters.workLocation} onChange={(e) => updateUserFilter('workLocation', e.target.value)}>
+                                <option value="">Any location</option>
+                                {options.workLocations.map(optionTag)}
+                            </select>
+                            <button className="btn-cancel" onClick={resetUserFilters}>Reset</button>
+                        </div>
+                        {canBulkUsers && (
+                            <BulkActionBar count={selection.length} onClear={() => setSelection([])}>
+                                {can('users:approve') && (
+                                    <>
+                                        <button className="btn-approve" onClick={() => runBulkAction('users/bulk/approval', { approvalStatus: 'approved' })}>✓ Approve</button>
+                                        <button className="btn-reject" onClick={() => runBulkAction('users/bulk/approval', { approvalStatus: 'rejected' })}>✕ Reject</button>
+                                    </>
+                                )}
+                                {can('users:delete') && (
+                                    <button className="btn-icon-delete" onClick={() => confirmDelete(null, 'bulk-users', `${selection.length} users and their complaints`)}>🗑️ Delete</button>
+                                )}
+                            </BulkActionBar>
+                        )}
                         {users.length === 0 ? <div className="empty">No employees found</div> : (
                             <table>
-                                <thead><tr><th>ID</th><th>Name</th><th>Email</th><th>Dept</th><th>Location</th><th>Status</th><th>Action</th></tr></thead>
+                                <thead><tr>{canBulkUsers && <th className="select-cell">{selectAllBox(users)}</th>}<th>ID</th><th>Name</th><th>Email</th><th>Dept</th><th>Location</th><th>Status</th><th>Action</th></tr></thead>
                                 <tbody>
                                     {users.map(u => (
                                         <tr key={u._id}>
+                                            {canBulkUsers && <td data-label="" className="select-cell">{selectBox(u._id)}</td>}
                                             <td data-label="ID">#{u.employeeNumber || 'N/A'}</td>
                                             <td data-label="Name"><strong>{u.name}</strong></td>
                                             <td data-label="Email">{u.email}</td>
@@ -319,7 +887,7 @@ export default function Admin() {
                                             <td data-label="Location"><span className="badge">{u.workLocation}</span></td>
                                             <td data-label="Status"><span className={`status ${u.approvalStatus}`}>{u.approvalStatus}</span></td>
                                             <td data-label="">
-                                                <button className="btn-icon-delete" onClick={() => confirmDelete(u._id, 'user', u.name)}>🗑️ Delete</button>
+                                                {can('users:delete') && <button className="btn-icon-delete" onClick={() => confirmDelete(u._id, 'user', u.name)}>🗑️ Delete</button>}
                                             </td>
                                         </tr>
                                     ))}
@@ -329,25 +897,100 @@ export default function Admin() {
                     </>
                 )}
 
-                {tab === 'complaints' && selected && (
+                {tab === 'admins' && can('admins:manage') && (
+                    <AdminAccounts currentAdminId={admin?._id} roleLabels={ROLE_LABELS} showToast={showToast} />
+                )}
+
+                {tab === 'analytics' && can('complaints:read') && (
+                    <AnalyticsDashboard showToast={showToast} />
+                )}
+
+                {tab === 'routing' && can('routing:manage') && (
+                    <RoutingRules handlers={handlers} showToast={showToast} />
+                )}
+
+                {tab === 'options' && can('config:manage') && (
+                    <ConfigOptions showToast={showToast} />
+                )}
+
+                {tab === 'trash' && canTrash && (
+                    <Trash canComplaints={can('complaints:delete')} canUsers={can('users:delete')} showToast={showToast} />
+                )}
+
+                {isComplaintTab && selected && (
                     <div>
                         <button className="back" onClick={() => setSelected(null)}>← Back</button>
                         <div className="detail-header">
-                            <div><h2>{selected.category}</h2><p>From {selected.employeeName} • {formatDate(selected.createdAt)}</p></div>
+                            <div><h2>{selected.category}</h2><p>{selected.referenceNumber && `${selected.referenceNumber} • `}From {reporterName(selected)} • {formatDate(selected.createdAt)}</p></div>
                             <div className="actions">
-                                <button className="pending" onClick={() => updateStatus(selected._id, 'pending')}>Pending</button>
-                                <button className="received" onClick={() => updateStatus(selected._id, 'received')}>Review</button>
-                                <button className="resolved" onClick={() => updateStatus(selected._id, 'resolved')}>Resolved</button>
-                                <button className="btn-reject" style={{ marginLeft: '10px' }} onClick={() => confirmDelete(selected._id, 'complaint', 'this complaint')}>Delete</button>
+                                {can('complaints:update') && (workflow.transitions[selected.status] || []).map(next => (
+                                    <button key={next} className={next} onClick={() => updateStatus(selected._id, next)}>{statusLabel(next)}</button>
+                                ))}
+                                {can('complaints:delete') && <button className="btn-reject" style={{ marginLeft: '10px' }} onClick={() => confirmDelete(selected._id, 'complaint', 'this complaint')}>Delete</button>}
                             </div>
                         </div>
                         <div className="info-box">
-                            <p><strong>Email:</strong> {selected.employeeEmail}</p>
-                            <p><strong>Department:</strong> {selected.department}</p>
-                            <p><strong>Priority:</strong> {selected.priority}</p>
-                            <p><strong>Status:</strong> <span className={`status ${selected.status}`}>{selected.status}</span></p>
+                            {selected.isAnonymous ? (
+                                <p>
+                                    <strong>Reporter:</strong>{' '}
+                                    {reporter ? `${reporter.identity.name} • #${reporter.identity.employeeNumber} • ${reporter.identity.email}` : 'Anonymous'}
+                                    {!reporter && can('complaints:identity') && (
+                                        <button className="btn-link" onClick={revealReporter}>Reveal identity</button>
+                                    )}
+                                </p>
+                            ) : (
+                                <p><strong>Email:</strong> {selected.employeeEmail}</p>
+                            )}
+                            {reporter && (
+                                <ul className="reveal-log">
+                                    {reporter.reveals.map(reveal => (
+                                        <li key={reveal._id}>
+                                            Revealed by {reveal.revealedByName} on {formatDateTime(reveal.createdAt)}: {reveal.reason}
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                            <p><strong>Department:</strong> {selected.department}{selected.workLocation && ` • ${selected.workLocation}`}</p>
+                            <p>
+                                <strong>Assigned to:</strong>{' '}
+                                {can('complaints:assign') ? (
+                                    <select className="assign-select" value={selected.assignedTo || ''} onChange={(e) => assignComplaint(selected._id, e.target.value)}>
+                                        <option value="">Unassigned</option>
+                                        {handlers.map(h => <option key={h._id} value={h._id}>{h.name}</option>)}
+                                    </select>
+                                ) : (selected.assignedToName || 'Unassigned')}
+                            </p>
+                            <p><strong>Priority:</strong> {selected.priority}{selected.escalationLevel > 0 && ` (escalated ×${selected.escalationLevel})`}</p>
+                            {selected.sla?.resolutionDue && (
+                                <p>
+                                    <strong>Due:</strong>{' '}
+                                    {!selected.sla.firstRespondedAt && `first response by ${formatDateTime(selected.sla.firstResponseDue)} • `}
+                                    resolution by {formatDateTime(selected.sla.resolutionDue)}
+                                    {isOverdue(selected) && <span className="overdue-badge">Overdue</span>}
+                                </p>
+                            )}
+                            <p><strong>Status:</strong> <span className={`status ${selected.status}`}>{statusLabel(selected.status)}</span></p>
+                            {can('complaints:update') && (workflow.transitions[selected.status] || []).length > 0 && (
+                                <input
+                                    className="status-note"
+                                    type="text"
+                                    maxLength="1000"
+                                    placeholder="Optional note for the next status change"
+                                    value={statusNote}
+                                    onChange={(e) => setStatusNote(e.target.value)}
+                                />
+                            )}
                         </div>
                         <div className="message-box"><h3>Complaint</h3><p>{selected.message}</p></div>
+                        <ComplaintDetails details={selected.details} />
+                        <ResolutionFeedback complaint={selected} />
+                        <AttachmentList
+                            attachments={selected.attachments}
+                            basePath={`/admin/complaints/${selected._id}/attachments`}
+                        />
+
+                        <StatusTimeline complaint={selected} />
+                        <ConversationThread messages={selected.messages} viewer="admin" onSend={can('complaints:reply') ? sendReply : undefined} />
                     </div>
                 )}
             </div>
@@ -1,11 +1,28 @@
-import { useState, useEffect } from 'react';
-import api from '../utils/api';
+import { useState, useEffect, useRef } from 'react';
+import api, { announceAuthChange, saveSession, logout } from '../utils/api';
+import { subscribeToEvents } from '../utils/events';
+import { useConfigOptions } from '../utils/config';
+import {
+    countUnread, statusLabel, OPEN_STATUSES, ATTACHMENT_ACCEPT,
+    getAnonymousTokens, saveAnonymousTokens, anonymousConfig
+} from '../utils/complaints';
+import ConversationThread from '../components/ConversationThread';
+import AttachmentList from '../components/AttachmentList';
+import NotificationSettings from '../components/NotificationSettings';
+import ChangePassword from '../components/ChangePassword';
+import ForgotPassword from '../components/ForgotPassword';
+import PhoneVerification from '../components/PhoneVerification';
+import StatusTimeline from '../components/StatusTimeline';
+import CategoryFields from '../components/CategoryFields';
+import ComplaintDetails from '../components/ComplaintDetails';
+import ResolutionFeedback from '../components/ResolutionFeedback';
 import './Employee.css';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
 
 export default function Employee() {
     const [isAuthenticated, setIsAuthenticated] = useState(false);
+    const options = useConfigOptions();
     const [authMode, setAuthMode] = useState('login');
     const [user, setUser] = useState(null);
     const [view, setView] = useState('list');
@@ -18,14 +35,21 @@ export default function Employee() {
         password: '',
         employeeNumber: '',
         department: '',
-        workLocation: ''
+        workLocation: '',
+        verificationToken: ''
     });
 
     const [complaintForm, setComplaintForm] = useState({
         category: '',
         message: '',
-        priority: 'medium'
+        priority: 'medium',
+        details: {}
     });
+    const [complaintFiles, setComplaintFiles] = useState([]);
+    const [submitAnonymously, setSubmitAnonymously] = useState(false);
+    const [tokenInput, setTokenInput] = useState('');
+    // Pending complaint being corrected in the detail view (null when not editing)
+    const [editForm, setEditForm] = useState(null);
 
     useEffect(() => {
         const storedUser = localStorage.getItem('user');
@@ -42,15 +66,82 @@ export default function Employee() {
         }
     }, [user]);
 
+    // Live updates to my complaints; the handler is read through a ref so it always sees current state
+    const live = useRef({});
+
+    useEffect(() => {
+        if (!user?._id) return undefined;
+        return subscribeToEvents('/events', localStorage.getItem('token'), (event, data) => {
+            live.current.handleEvent?.(event, data);
+        });
+    }, [user]);
+
+    live.current.handleEvent = (event, { complaint } = {}) => {
+        if (!complaint) return;
+
+        if (event === 'complaint.deleted') {
+            setComplaints(prev => prev.filter(c => c._id !== complaint._id));
+            if (selectedComplaint?._id === complaint._id) {
+                setSelectedComplaint(null);
+                setView('list');
+            }
+            return;
+        }
+
+        setComplaints(prev => (prev.some(c => c._id === complaint._id)
+            ? prev.map(c => c._id === complaint._id ? complaint : c)
+            : [complaint, ...prev]));
+
+        if (selectedComplaint?._id === complaint._id) {
+            setSelectedComplaint(complaint);
+            // A reply arriving in the open thread has been seen
+            if (event === 'complaint.message') api.get(`/complaints/${complaint._id}/messages`).catch(() => {});
+        }
+    };
+
+    const totalUnread = complaints.reduce((sum, c) => sum + countUnread(c.messages, 'employee'), 0);
+
     const fetchComplaints = async () => {
         try {
             const res = await api.get('/complaints');
-            setComplaints(res.data.filter(c => c.employeeId === user._id));
+            const anonymous = await fetchAnonymousComplaints();
+            setComplaints([...anonymous, ...res.data].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)));
         } catch (err) {
             console.error('Failed to fetch complaints');
         }
     };
 
+    // Anonymous complaints are not linked to the account - load them with the saved access tokens
+    const fetchAnonymousComplaints = async () => {
+        const tokens = getAnonymousTokens(user._id);
+        const results = await Promise.all(tokens.map(token =>
+            api.get('/anonymous/complaint', anonymousConfig(token))
+                .then(res => ({ ...res.data.complaint, anonymousToken: token }))
+                .catch(() => null)
+        ));
+        return results.filter(Boolean);
+    };
+
+    // Where a complaint's thread and files live: the account's own routes or the anonymous token routes
+    const complaintEndpoint = (comp) => (comp.anonymousToken
+        ? { base: '/anonymous/complaint', config: anonymousConfig(comp.anonymousToken) }
+        : { base: `/complaints/${comp._id}`, config: {} });
+
+    const openWithToken = async (e) => {
+        e.preventDefault();
+        const token = tokenInput.trim();
+        if (!token) return;
+        try {
+            const res = await api.get('/anonymous/complaint', anonymousConfig(token));
+            saveAnonymousTokens(user._id, [...getAnonymousTokens(user._id), token]);
+            setTokenInput('');
+            fetchComplaints();
+            viewDetail({ ...res.data.complaint, anonymousToken: token });
+        } catch (err) {
+            alert(err.response?.data?.message || 'Failed to open complaint');
+        }
+    };
+
     const handleLogin = async (e) => {
         e.preventDefault();
         try {
@@ -59,10 +150,11 @@ export default function Employee() {
                 setUser(res.data.user);
                 setIsAuthenticated(true);
                 localStorage.setItem('user', JSON.stringify(res.data.user));
-                // Store the JWT token for API requests and route protection
+                // Store the access/refresh tokens for API requests and route protection
                 if (res.data.token) {
-                    localStorage.setItem('token', res.data.token);
+                    saveSession('employee', res.data);
                 }
+                announceAuthChange();
                 setLoginForm({ email: '', password: '' });
             }
         } catch (err) {
@@ -78,10 +170,14 @@ export default function Employee() {
             const res = await api.post('/auth/register', registerForm);
             if (res.data.success) {
                 setRegistrationStatus('pending');
-                setRegisterForm({ name: '', password: '', employeeNumber: '', department: '', workLocation: '' });
+                setRegisterForm({ name: '', password: '', employeeNumber: '', department: '', workLocation: '', verificationToken: '' });
             }
         } catch (err) {
             alert(err.response?.data?.message || 'Registration failed');
+            // Verification tokens are single-use or may have expired - ask for a fresh code
+            if (err.response?.data?.message === 'Please verify your phone number first') {
+                setRegisterForm(form => ({ ...form, verificationToken: '' }));
+            }
         }
     };
 
@@ -122,18 +218,32 @@ export default function Employee() {
     const handleSubmitComplaint = async (e) => {
         e.preventDefault();
         try {
-            await api.post('/complaints', {
-                ...complaintForm,
-                employeeId: user._id,
-                employeeName: user.name,
-                employeeEmail: user.email,
-                employeeNumber: user.employeeNumber,
-                department: user.department
-            });
-            setComplaintForm({ category: '', message: '', priority: 'medium' });
+            // Identity is taken from the auth token on the server
+            const formData = new FormData();
+            const { details, ...fields } = complaintForm;
+            Object.entries(fields).forEach(([key, value]) => formData.append(key, value));
+            formData.append('details', JSON.stringify(details));
+            complaintFiles.forEach(file => formData.append('attachments', file));
+            formData.append('anonymous', submitAnonymously);
+
+            const res = await api.post('/complaints', formData);
+            const { complaint, accessToken } = res.data;
+
+            if (accessToken) {
+                saveAnonymousTokens(user._id, [...getAnonymousTokens(user._id), accessToken]);
+            }
+
+            setComplaintForm({ category: '', message: '', priority: 'medium', details: {} });
+            setComplaintFiles([]);
+            setSubmitAnonymously(false);
             setView('list');
             fetchComplaints();
-            alert('Complaint submitted successfully!');
+
+            if (accessToken) {
+                alert(`Anonymous complaint submitted! Reference: ${complaint.referenceNumber}\n\nYour private access token is:\n${accessToken}\n\nSave it somewhere safe - it is the only way to follow up on this complaint from another device.`);
+            } else {
+                alert(`Complaint submitted successfully! Your reference number is ${complaint.referenceNumber}`);
+            }
         } catch (err) {
             console.error('Submit complaint error:', err);
             alert(err.response?.data?.message || 'Failed to submit complaint');
@@ -143,14 +253,146 @@ export default function Employee() {
     const handleLogout = () => {
         setUser(null);
         setIsAuthenticated(false);
-        localStorage.removeItem('user');
-        localStorage.removeItem('token');
+        logout('employee');
         setView('list');
     };
 
-    const viewDetail = (comp) => {
+    const handleLogoutAll = async () => {
+        if (!window.confirm('Sign out of Complaint Box on all your devices, including this one?')) return;
+        try {
+            await api.post('/account/logout-all');
+            handleLogout();
+        } catch (err) {
+            alert(err.response?.data?.message || 'Failed to sign out of all devices');
+        }
+    };
+
+    const viewDetail = async (comp) => {
         setSelectedComplaint(comp);
+        setEditForm(null);
         setView('detail');
+        try {
+            // Loading the thread also marks HR replies as read
+            const { base, config } = complaintEndpoint(comp);
+            const res = await api.get(`${base}/messages`, config);
+            if (res.data.success) {
+                const updated = { ...comp, messages: res.data.messages };
+                setSelectedComplaint(updated);
+                setComplaints(prev => prev.map(c => c._id === updated._id ? updated : c));
+            }
+        } catch (err) {
+            console.error('Failed to fetch conversation', err);
+        }
+    };
+
+    const sendReply = async (body) => {
+        try {
+            const { base, config } = complaintEndpoint(selectedComplaint);
+            const res = await api.post(`${base}/messages`, { body }, config);
+            if (res.data.success) {
+                const updated = { ...selectedComplaint, messages: res.data.messages };
+                setSelectedComplaint(updated);
+                setComplaints(prev => prev.map(c => c._id === updated._id ? updated : c));
+            }
+        } catch (err) {
+            alert(err.response?.data?.message || 'Failed to send message');
+            throw err;
+        }
+    };
+
+    const uploadAttachments = async (files) => {
+        try {
+            const formData = new FormData();
+            files.forEach(file => formData.append('attachments', file));
+            const { base, config } = complaintEndpoint(selectedComplaint);
+            const res = await api.post(`${base}/attachments`, formData, config);
+            if (res.data.success) {
+                const updated = { ...selectedComplaint, attachments: res.data.attachments };
+                setSelectedComplaint(updated);
+                setComplaints(prev => prev.map(c => c._id === updated._id ? updated : c));
+            }
+        } catch (err) {
+            alert(err.response?.data?.message || 'Failed to upload files');
+        }
+    };
+
+    // Swap in the server's copy of the open complaint, keeping the locally held access token
+    const replaceSelected = (complaint) => {
+        const updated = { ...complaint, anonymousToken: selectedComplaint.anonymousToken };
+        setSelectedComplaint(updated);
+        setComplaints(prev => prev.map(c => c._id === updated._id ? updated : c));
+    };
+
+    const startEdit = () => {
+        const { category, priority, message, details } = selectedComplaint;
+        setEditForm({
+            category,
+            priority,
+            message,
+            details: Object.fromEntries((details || []).map(d => [d.key, d.value]))
+        });
+    };
+
+    const handleSaveEdit = async (e) => {
+        e.preventDefault();
+        try {
+            const { base, config } = complaintEndpoint(selectedComplaint);
+            const res = await api.patch(base, editForm, config);
+            if (res.data.success) {
+                replaceSelected(res.data.complaint);
+                setEditForm(null);
+            }
+        } catch (err) {
+            alert(err.response?.data?.message || 'Failed to update complaint');
+        }
+    };
+
+    const handleWithdraw = async () => {
+        const reason = window.prompt('Why are you withdrawing this complaint? (e.g. it was resolved informally)');
+        if (reason === null) return;
+        if (!reason.trim()) {
+            alert('Please give a reason for withdrawing');
+            return;
+        }
+        try {
+            const { base, config } = complaintEndpoint(selectedComplaint);
+            const res = await api.post(`${base}/withdraw`, { reason }, config);
+            if (res.data.success) {
+                replaceSelected(res.data.complaint);
+                setEditForm(null);
+            }
+        } catch (err) {
+            alert(err.response?.data?.message || 'Failed to withdraw complaint');
+        }
+    };
+
+    const answerResolution = async (action) => {
+        let reason;
+        if (action === 'reopen') {
+            reason = window.prompt('What still needs to be sorted out?');
+            if (reason === null) return;
+            if (!reason.trim()) {
+                alert('Please give a reason for reopening');
+                return;
+            }
+        }
+        try {
+            const { base, config } = complaintEndpoint(selectedComplaint);
+            const res = await api.post(`${base}/resolution`, { action, reason }, config);
+            if (res.data.success) replaceSelected(res.data.complaint);
+        } catch (err) {
+            alert(err.response?.data?.message || 'Failed to update complaint');
+        }
+    };
+
+    const submitRating = async (rating) => {
+        try {
+            const { base, config } = complaintEndpoint(selectedComplaint);
+            const res = await api.post(`${base}/rating`, rating, config);
+            if (res.data.success) replaceSelected(res.data.complaint);
+        } catch (err) {
+            alert(err.response?.data?.message || 'Failed to submit rating');
+        }
     };
 
     const formatDate = (dateString) => {
@@ -199,11 +441,14 @@ export default function Employee() {
                                 </div>
                                 <button type="submit" className="btn-primary">Login</button>
                             </form>
+                            <button className="forgot-link" onClick={() => setAuthMode('forgot')}>Forgot password?</button>
                             <div className="auth-switch">
                                 Don't have an account?
                                 <button onClick={() => setAuthMode('register')}>Register</button>
                             </div>
                         </div>
+                    ) : authMode === 'forgot' ? (
+                        <ForgotPassword onBack={() => setAuthMode('login')} />
                     ) : (
                         <div className="auth-form">
                             <h2>Register</h2>
@@ -223,13 +468,18 @@ export default function Employee() {
                                     <input
                                         type="tel"
                                         value={registerForm.employeeNumber}
-                                        onChange={(e) => setRegisterForm({ ...registerForm, employeeNumber: e.target.value })}
+                                        onChange={(e) => setRegisterForm({ ...registerForm, employeeNumber: e.target.value, verificationToken: '' })}
                                         placeholder="Enter your phone number"
                                         pattern="[0-9]{10}"
                                         title="Please enter a 10-digit phone number"
                                         required
                                     />
                                 </div>
+                                <PhoneVerification
+                                    phone={registerForm.employeeNumber}
+                                    verified={Boolean(registerForm.verificationToken)}
+                                    onVerified={(token) => setRegisterForm(form => ({ ...form, verificationToken: token }))}
+                                />
                                 <div className="field">
                                     <label>Password</label>
                                     <input
@@ -249,12 +499,7 @@ export default function Employee() {
                                         required
                                     >
                                         <option value="">Select Department</option>
-                                        <option value="Sales">Sales</option>
-                                        <option value="Service">Service</option>
-                                        <option value="Parts">Parts</option>
-                                        <option value="Finance">Finance</option>
-                                        <option value="HR">HR</option>
-                                        <option value="Admin">Admin</option>
+                                        {options.departments.map(d => <option key={d.value} value={d.value}>{d.label}</option>)}
                                     </select>
                                 </div>
                                 <div className="field">
@@ -265,12 +510,10 @@ export default function Employee() {
                                         required
                                     >
                                         <option value="">Select Work Location</option>
-                                        <option value="Airport">Airport</option>
-                                        <option value="OMR">OMR</option>
-                                        <option value="Pallavaram">Pallavaram</option>
+                                        {options.workLocations.map(l => <option key={l.value} value={l.value}>{l.label}</option>)}
                                     </select>
                                 </div>
-                                <button type="submit" className="btn-primary">Register</button>
+                                <button type="submit" className="btn-primary" disabled={!registerForm.verificationToken}>Register</button>
                             </form>
                             <div className="auth-switch">
                                 Already have an account?
@@ -308,6 +551,9 @@ export default function Employee() {
                         <button className="btn-primary" onClick={() => setView('form')}>
                             + New Complaint
                         </button>
+                        <button className="btn-secondary" onClick={() => setView('settings')}>
+                            Notification Settings
+                        </button>
                     </div>
                 </aside>
 
@@ -323,21 +569,20 @@ export default function Employee() {
                                     <label>Category</label>
                                     <select
                                         value={complaintForm.category}
-                                        onChange={(e) => setComplaintForm({ ...complaintForm, category: e.target.value })}
+                                        onChange={(e) => setComplaintForm({ ...complaintForm, category: e.target.value, details: {} })}
                                         required
                                     >
                                         <option value="">Select Category</option>
-                                        <option value="Attendence">Attendence</option>
-                                        <option value="Sallary Advance">Sallary Advance</option>
-                                        <option value="Pay Roll">Pay Roll</option>
-                                        <option value="Full and Final Settlement">Full and Final Settlement</option>
-                                        <option value="ESI">ESI</option>
-                                        <option value="PF">PF</option>
-                                        <option value="Payroll">Payroll</option>
-                                        <option value="General">Other</option>
+                                        {options.categories.map(c => <option key={c.value} value={c.value}>{c.label}</option>)}
                                     </select>
                                 </div>
 
+                                <CategoryFields
+                                    fields={options.categories.find(c => c.value === complaintForm.category)?.fields}
+                                    values={complaintForm.details}
+                                    onChange={(details) => setComplaintForm({ ...complaintForm, details })}
+                                />
+
                                 <div className="field">
                                     <label>Priority Level</label>
                                     <select
@@ -363,6 +608,44 @@ export default function Employee() {
                                     <small>Please provide as much detail as possible</small>
                                 </div>
 
+                                <div className="field">
+                                    <label>Attachments (optional)</label>
+                                    <input
+                                        type="file"
+                                        multiple
+                                        accept={ATTACHMENT_ACCEPT}
+                                        onChange={(e) => {
+                                            const files = Array.from(e.target.files);
+                                            const maxFiles = options.attachments?.maxFiles;
+                                            if (maxFiles && files.length > maxFiles) {
+                                                alert(`You can attach up to ${maxFiles} files`);
+                                                e.target.value = '';
+                                                return;
+                                            }
+                                            setComplaintFiles(files);
+                                        }}
+                                    />
+                                    <small>
+                                        Payslips, screenshots or PF/ESI statements - PDF, JPG, PNG or WEBP
+                                        {options.attachments && `, up to ${options.attachments.maxFileMb}MB each`}
+                                    </small>
+                                </div>
+
+                                <div className="field">
+                                    <label className="checkbox-label">
+                                        <input
+                                            type="checkbox"
+                                            checked={submitAnonymously}
+                                            onChange={(e) => setSubmitAnonymously(e.target.checked)}
+                                        />
+                                        Submit anonymously
+                                    </label>
+                                    <small>
+                                        Your name and phone number are hidden from HR. You will get a private access token
+                                        to follow up and reply on this complaint.
+                                    </small>
+                                </div>
+
                                 <button type="submit" className="btn-primary">
                                     Submit Complaint
                                 </button>
@@ -370,11 +653,44 @@ export default function Employee() {
                         </div>
                     )}
 
+                    {view === 'settings' && (
+                        <div className="form-section">
+                            <div className="header-row">
+                                <h2>Notification Settings</h2>
+                                <button onClick={() => setView('list')}>← Back</button>
+                            </div>
+                            <NotificationSettings />
+
+                            <div className="header-row settings-section">
+                                <h2>Change Password</h2>
+                            </div>
+                            <ChangePassword />
+
+                            <div className="header-row settings-section">
+                                <h2>Devices</h2>
+                            </div>
+                            <p className="settings-hint">Lost a phone or used a shared computer? End every session signed in to your account.</p>
+                            <button className="btn-secondary" onClick={handleLogoutAll}>Sign out of all devices</button>
+                        </div>
+                    )}
+
                     {view === 'list' && (
                         <div className="list-section">
                             <div className="header-row">
-                                <h2>My Complaints ({complaints.length})</h2>
+                                <h2>
+                                    My Complaints ({complaints.length})
+                                    {totalUnread > 0 && <span className="unread-count">{totalUnread} unread</span>}
+                                </h2>
                             </div>
+                            <form className="token-form" onSubmit={openWithToken}>
+                                <input
+                                    type="text"
+                                    value={tokenInput}
+                                    onChange={(e) => setTokenInput(e.target.value)}
+                                    placeholder="Have an anonymous complaint access token? Paste it here"
+                                />
+                                <button type="submit">Open</button>
+                            </form>
                             {complaints.length === 0 ? (
                                 <div className="empty">
                                     <p>No complaints submitted yet</p>
@@ -384,12 +700,19 @@ export default function Employee() {
                                     {complaints.map(comp => (
                                         <div key={comp._id} className="card" onClick={() => viewDetail(comp)}>
                                             <div className="card-header">
-                                                <span className={`badge ${comp.status}`}>{comp.status}</span>
+                                                <span className={`badge ${comp.status}`}>{statusLabel(comp.status)}</span>
+                                                {comp.isAnonymous && <span className="anonymous-tag">Anonymous</span>}
+                                                {countUnread(comp.messages, 'employee') > 0 && (
+                                                    <span className="unread-count">{countUnread(comp.messages, 'employee')} new</span>
+                                                )}
                                                 <span className="date">{formatDate(comp.createdAt)}</span>
                                             </div>
                                             <h4>{comp.category}</h4>
                                             <p>{comp.message.substring(0, 120)}...</p>
-                                            <small>Priority: <strong>{comp.priority}</strong></small>
+                                            <small>
+                                                Priority: <strong>{comp.priority}</strong>
+                                                {comp.referenceNumber && <> • Ref: <strong>{comp.referenceNumber}</strong></>}
+                                            </small>
                                         </div>
                                     ))}
                                 </div>
@@ -406,27 +729,115 @@ export default function Employee() {
 
                             <div className="badge-row">
                                 <span className={`badge ${selectedComplaint.status}`}>
-                                    {selectedComplaint.status}
+                                    {statusLabel(selectedComplaint.status)}
                                 </span>
                                 <span className="category">{selectedComplaint.category}</span>
                                 <span className="category">Priority: {selectedComplaint.priority}</span>
+                                {selectedComplaint.isAnonymous && <span className="category">Anonymous</span>}
                             </div>
 
+                            {!editForm && OPEN_STATUSES.includes(selectedComplaint.status) && (
+                                <div className="detail-actions">
+                                    {selectedComplaint.status === 'pending' && (
+                                        <button className="edit-btn" onClick={startEdit}>Edit</button>
+                                    )}
+                                    <button className="withdraw-btn" onClick={handleWithdraw}>Withdraw</button>
+                                </div>
+                            )}
+
                             <div className="detail-info">
+                                {selectedComplaint.referenceNumber && (
+                                    <p><strong>Reference:</strong> {selectedComplaint.referenceNumber}</p>
+                                )}
                                 <p><strong>Submitted:</strong> {formatDate(selectedComplaint.createdAt)}</p>
                                 <p><strong>Department:</strong> {selectedComplaint.department}</p>
+                                {selectedComplaint.anonymousToken && (
+                                    <p><strong>Access token:</strong> <code className="access-token">{selectedComplaint.anonymousToken}</code></p>
+                                )}
                             </div>
 
-                            <div className="message">
-                                {selectedComplaint.message}
-                            </div>
+                            {editForm ? (
+                                <form className="edit-form" onSubmit={handleSaveEdit}>
+                                    <div className="field">
+                                        <label>Category</label>
+                                        <select
+                                            value={editForm.category}
+                                            onChange={(e) => setEditForm({ ...editForm, category: e.target.value, details: {} })}
+                                            required
+                                        >
+                                            {!options.categories.some(c => c.value === editForm.category) && (
+                                                <option value={editForm.category}>{editForm.category}</option>
+                                            )}
+                                            {options.categories.map(c => <option key={c.value} value={c.value}>{c.label}</option>)}
+                                        </select>
+                                    </div>
+
+                                    <CategoryFields
+                                        fields={options.categories.find(c => c.value === editForm.category)?.fields}
+                                        values={editForm.details}
+                                        onChange={(details) => setEditForm({ ...editForm, details })}
+                                    />
 
-                            {selectedComplaint.adminReply && (
-                                <div className="admin-reply">
-                                    <h4>Admin Response</h4>
-                                    <p>{selectedComplaint.adminReply}</p>
-                                </div>
+                                    <div className="field">
+                                        <label>Priority Level</label>
+                                        <select
+                                            value={editForm.priority}
+                                            onChange={(e) => setEditForm({ ...editForm, priority: e.target.value })}
+                                            required
+                                        >
+                                            <option value="low">Low</option>
+                                            <option value="medium">Medium</option>
+                                            <option value="high">High</option>
+                                        </select>
+                                    </div>
+
+                                    <div className="field">
+                                        <label>Description</label>
+                                        <textarea
+                                            value={editForm.message}
+                                            onChange={(e) => setEditForm({ ...editForm, message: e.target.value })}
+                                            rows="6"
+                                            required
+                                        />
+                                        <small>Your previous version stays in the complaint's timeline</small>
+                                    </div>
+
+                                    <div className="detail-actions">
+                                        <button type="submit" className="edit-btn">Save Changes</button>
+                                        <button type="button" onClick={() => setEditForm(null)}>Cancel</button>
+                                    </div>
+                                </form>
+                            ) : (
+                                <>
+                                    <div className="message">
+                                        {selectedComplaint.message}
+                                    </div>
+
+                                    <ComplaintDetails details={selectedComplaint.details} />
+                                </>
                             )}
+
+                            <ResolutionFeedback
+                                complaint={selectedComplaint}
+                                onConfirm={() => answerResolution('confirm')}
+                                onReopen={() => answerResolution('reopen')}
+                                onRate={submitRating}
+                            />
+
+                            <AttachmentList
+                                attachments={selectedComplaint.attachments}
+                                basePath={`${complaintEndpoint(selectedComplaint).base}/attachments`}
+                                requestConfig={complaintEndpoint(selectedComplaint).config}
+                                onUpload={uploadAttachments}
+                            />
+
+                            <StatusTimeline complaint={selectedComplaint} />
+
+                            <ConversationThread
+                                messages={selectedComplaint.messages}
+                                viewer="employee"
+                                onSend={sendReply}
+                            />
                         </div>
                     )}
                 </main>
@@ -0,0 +1,75 @@
+import { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import api from '../utils/api';
+import './SetPassword.css';
+
+// Landing page for the one-time link sent to employees created by the admin CSV import
+export default function SetPassword() {
+    const [searchParams] = useSearchParams();
+    const token = searchParams.get('token') || '';
+    const [form, setForm] = useState({ password: '', confirm: '' });
+    const [error, setError] = useState('');
+    const [done, setDone] = useState(false);
+    const [loading, setLoading] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        if (form.password !== form.confirm) {
+            setError('Passwords do not match');
+            return;
+        }
+
+        setLoading(true);
+        try {
+            const res = await api.post('/auth/set-password', { token, password: form.password });
+            if (res.data.success) setDone(true);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Unable to set password');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="set-password-page">
+            <div className="set-password-box">
+                <h1>Set Your Password</h1>
+
+                {!token ? (
+                    <div className="set-password-error">This link is incomplete. Open the full link HR sent you.</div>
+                ) : done ? (
+                    <div className="set-password-success">
+                        <p>Your password is set. Log in with your phone number and the password you just chose.</p>
+                        <Link to="/employee" className="set-password-login">Go to Login</Link>
+                    </div>
+                ) : (
+                    <>
+                        <p>Your ComplaintBox account has been created by HR. Choose a password to start using it.</p>
+                        <form onSubmit={handleSubmit}>
+                            <input
+                                type="password"
+                                placeholder="New password (min 6 characters)"
+                                value={form.password}
+                                onChange={(e) => setForm({ ...form, password: e.target.value })}
+                                minLength={6}
+                                required
+                            />
+                            <input
+                                type="password"
+                                placeholder="Confirm password"
+                                value={form.confirm}
+                                onChange={(e) => setForm({ ...form, confirm: e.target.value })}
+                                minLength={6}
+                                required
+                            />
+                            <button type="submit" disabled={loading}>{loading ? 'Saving...' : 'Set Password'}</button>
+                        </form>
+                        {error && <div className="set-password-error">{error}</div>}
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,85 @@
+import { useState } from 'react';
+import api from '../utils/api';
+import { statusLabel } from '../utils/complaints';
+import './Status.css';
+
+export default function Status() {
+    const [form, setForm] = useState({ ref: '', phone: '' });
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    const handleTrack = async (e) => {
+        e.preventDefault();
+        setError('');
+        setResult(null);
+        setLoading(true);
+        try {
+            const res = await api.get(`/complaints/track/${encodeURIComponent(form.ref.trim())}`, {
+                params: { phone: form.phone.trim() }
+            });
+            if (res.data.success) setResult(res.data.complaint);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Unable to fetch complaint status');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const formatDate = (date) => {
+        return new Date(date).toLocaleString('en-IN', {
+            day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit'
+        });
+    };
+
+    return (
+        <div className="status-page">
+            <div className="status-box">
+                <h1>Check Complaint Status</h1>
+                <p>Enter your reference number and the phone number you registered with.</p>
+
+                <form onSubmit={handleTrack}>
+                    <input
+                        type="text"
+                        placeholder="Reference (e.g. CB-2026-000123)"
+                        value={form.ref}
+                        onChange={(e) => setForm({ ...form, ref: e.target.value })}
+                        required
+                    />
+                    <input
+                        type="tel"
+                        placeholder="Registered phone number"
+                        value={form.phone}
+                        onChange={(e) => setForm({ ...form, phone: e.target.value })}
+                        pattern="[0-9]{10}"
+                        title="Please enter a 10-digit phone number"
+                        required
+                    />
+                    <button type="submit" disabled={loading}>{loading ? 'Checking...' : 'Check Status'}</button>
+                </form>
+
+                {error && <div className="status-error">{error}</div>}
+
+                {result && (
+                    <div className="status-result">
+                        <div className="status-result-header">
+                            <strong>{result.referenceNumber}</strong>
+                            <span className={`status-pill ${result.status}`}>{statusLabel(result.status)}</span>
+                        </div>
+                        <p><strong>Category:</strong> {result.category}</p>
+                        <p><strong>Priority:</strong> {result.priority}</p>
+
+                        <ul className="timeline">
+                            {result.timeline.map((item, i) => (
+                                <li key={i}>
+                                    <span className="timeline-label">{item.label}</span>
+                                    <span className="timeline-date">{formatDate(item.at)}</span>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
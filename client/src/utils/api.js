@@ -8,7 +8,8 @@ const api = axios.create({
 // Request interceptor - Add token to all requests
 api.interceptors.request.use((config) => {
     const token = localStorage.getItem('token') || localStorage.getItem('adminToken');
-    if (token) {
+    // Callers that need a specific session (e.g. the notification bell) set their own header
+    if (token && !config.headers.Authorization) {
         config.headers.Authorization = `Bearer ${token}`;
     }
     return config;
@@ -16,18 +17,126 @@ api.interceptors.request.use((config) => {
     return Promise.reject(error);
 });
 
-// Response interceptor - Handle auth errors
+// Fired on login/logout so components outside the page (the navbar) can pick up the new session
+export const AUTH_CHANGE_EVENT = 'auth-change';
+export const announceAuthChange = () => window.dispatchEvent(new Event(AUTH_CHANGE_EVENT));
+
+// Employee and admin sessions are kept side by side: a short-lived access token plus the refresh token that renews it
+const SESSION_KEYS = {
+    employee: { token: 'token', refreshToken: 'refreshToken', user: 'user' },
+    admin: { token: 'adminToken', refreshToken: 'adminRefreshToken', user: 'adminUser' }
+};
+
+// Which session an access token belongs to, read from its payload (the server still verifies it)
+const sessionKind = (token) => {
+    try {
+        const payload = JSON.parse(window.atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+        return payload.role === 'admin' ? 'admin' : 'employee';
+    } catch {
+        return null;
+    }
+};
+
+// Store the tokens from a login/refresh response ('employee' | 'admin')
+export const saveSession = (kind, { token, refreshToken }) => {
+    localStorage.setItem(SESSION_KEYS[kind].token, token);
+    if (refreshToken) localStorage.setItem(SESSION_KEYS[kind].refreshToken, refreshToken);
+};
+
+export const clearSession = (kind) => {
+    Object.values(SESSION_KEYS[kind]).forEach(key => localStorage.removeItem(key));
+};
+
+// Log out this device: forget the session and revoke its refresh token on the server
+export const logout = async (kind) => {
+    const refreshToken = localStorage.getItem(SESSION_KEYS[kind].refreshToken);
+    clearSession(kind);
+    announceAuthChange();
+    if (refreshToken) await axios.post('/api/auth/logout', { refreshToken }).catch(() => {});
+};
+
+// One refresh per session at a time - requests failing together all wait for the same new token
+const pendingRefresh = {};
+
+const renewSession = (kind) => {
+    if (!pendingRefresh[kind]) {
+        const keys = SESSION_KEYS[kind];
+        const refreshToken = localStorage.getItem(keys.refreshToken);
+
+        pendingRefresh[kind] = (async () => {
+            if (!refreshToken) return null;
+            try {
+                const res = await axios.post('/api/auth/refresh', { refreshToken });
+                saveSession(kind, res.data);
+                announceAuthChange();
+                return res.data.token;
+            } catch {
+                // Another tab may have used the same refresh token a moment earlier
+                return localStorage.getItem(keys.refreshToken) !== refreshToken ? localStorage.getItem(keys.token) : null;
+            }
+        })().finally(() => {
+            pendingRefresh[kind] = null;
+        });
+    }
+    return pendingRefresh[kind];
+};
+
+/**
+ * Get a working access token in place of one the server rejected
+ * Resolves to null when the session can't be renewed (logged out, expired or revoked)
+ */
+export const refreshAccessToken = async (rejectedToken) => {
+    const kind = sessionKind(rejectedToken);
+    if (!kind) return null;
+
+    // Already renewed by another request
+    const current = localStorage.getItem(SESSION_KEYS[kind].token);
+    if (current && current !== rejectedToken) return current;
+
+    return renewSession(kind);
+};
+
+// Response interceptor - renew expired sessions and retry once; back to login when that fails
 api.interceptors.response.use(
     (response) => response,
-    (error) => {
-        if (error.response?.status === 401) {
-            // Clear tokens and redirect to login
-            localStorage.removeItem('token');
-            localStorage.removeItem('adminToken');
-            window.location.href = '/';
+    async (error) => {
+        const { config, response } = error;
+        const rejectedToken = config?.headers?.Authorization?.replace('Bearer ', '');
+
+        // Login and refresh failures are for the caller to show
+        if (response?.status !== 401 || !rejectedToken || config.url.startsWith('/auth/')) {
+            return Promise.reject(error);
         }
+
+        if (!config.retried) {
+            const token = await refreshAccessToken(rejectedToken);
+            if (token) {
+                config.retried = true;
+                config.headers.Authorization = `Bearer ${token}`;
+                return api(config);
+            }
+        }
+
+        // Clear the session and redirect to login
+        const kind = sessionKind(rejectedToken);
+        if (kind) clearSession(kind);
+        announceAuthChange();
+        window.location.href = '/';
         return Promise.reject(error);
     }
 );
 
+// Fetch a protected file with the auth header and hand it to the browser as a download
+export const downloadFile = async (url, filename, config = {}) => {
+    const res = await api.get(url, { ...config, responseType: 'blob' });
+    const objectUrl = URL.createObjectURL(res.data);
+    const link = document.createElement('a');
+    link.href = objectUrl;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(objectUrl);
+};
+
 export default api;
@@ -0,0 +1,71 @@
+// Shared complaint helpers used by both the admin and employee pages
+
+/**
+ * Count messages from the other side that the viewer has not opened yet
+ * `viewer` is 'admin' or 'employee'
+ */
+export const countUnread = (messages = [], viewer) => {
+    const flag = viewer === 'admin' ? 'readByAdmin' : 'readByEmployee';
+    return messages.filter(m => m.authorType !== viewer && !m[flag]).length;
+};
+
+// Display names for the complaint workflow statuses
+export const STATUS_LABELS = {
+    pending: 'Pending',
+    received: 'Received',
+    in_progress: 'In Progress',
+    awaiting_employee: 'Awaiting Employee',
+    resolved: 'Resolved',
+    closed: 'Closed',
+    reopened: 'Reopened',
+    withdrawn: 'Withdrawn'
+};
+
+export const statusLabel = (status) => STATUS_LABELS[status] || status;
+
+// Still being worked on - the employee can withdraw these
+export const OPEN_STATUSES = ['pending', 'received', 'in_progress', 'awaiting_employee', 'reopened'];
+
+// Mirrors the server's overdue rule: open and past first-response or resolution due date,
+// except while awaiting the employee (the SLA clock is paused then)
+export const isOverdue = (complaint, now = new Date()) => {
+    if (!OPEN_STATUSES.includes(complaint.status) || complaint.status === 'awaiting_employee' || !complaint.sla) return false;
+    const { firstResponseDue, resolutionDue, firstRespondedAt } = complaint.sla;
+    return Boolean(
+        (resolutionDue && new Date(resolutionDue) <= now)
+        || (!firstRespondedAt && firstResponseDue && new Date(firstResponseDue) <= now)
+    );
+};
+
+// Mirrors the server: resolved and still inside the employee's confirm/reopen window
+export const isAwaitingConfirmation = (complaint, now = new Date()) => complaint.status === 'resolved'
+    && (!complaint.confirmationDue || new Date(complaint.confirmationDue) > now);
+
+// Resolved complaints can be rated once
+// (closed counts only when it was closed straight after a resolution, as on the server)
+export const canBeRated = (complaint) => !complaint.rating?.score && (complaint.status === 'resolved'
+    || (complaint.status === 'closed' && complaint.statusHistory?.at(-1)?.from === 'resolved'));
+
+// File types the server accepts as complaint attachments (the size and count limits come from /api/config)
+export const ATTACHMENT_ACCEPT = '.pdf,.jpg,.jpeg,.png,.webp';
+
+// Name shown for the person who filed a complaint
+export const reporterName = (complaint) => (complaint.isAnonymous ? 'Anonymous' : complaint.employeeName);
+
+// Access tokens for anonymous complaints, kept per employee on this device
+const anonymousKey = (userId) => `anonymousComplaints:${userId}`;
+
+export const getAnonymousTokens = (userId) => {
+    try {
+        return JSON.parse(localStorage.getItem(anonymousKey(userId))) || [];
+    } catch {
+        return [];
+    }
+};
+
+export const saveAnonymousTokens = (userId, tokens) => {
+    localStorage.setItem(anonymousKey(userId), JSON.stringify([...new Set(tokens)]));
+};
+
+// Request config that authenticates with an anonymous complaint's access token
+export const anonymousConfig = (token) => ({ headers: { 'X-Complaint-Token': token } });
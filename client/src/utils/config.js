@@ -0,0 +1,62 @@
+import { useEffect, useState } from 'react';
+import api from './api';
+
+// Categories, departments and work locations are managed by admins (Admin → Options)
+// '/config' returns the active options for forms (and the attachment limits); '/admin/config' every option,
+// including deactivated ones
+
+export const EMPTY_OPTIONS = { categories: [], departments: [], workLocations: [], attachments: null };
+
+const CONFIG_CHANGE_EVENT = 'config-change';
+const cache = new Map();
+
+const loadOptions = (path) => {
+    if (!cache.has(path)) {
+        const request = api.get(path)
+            .then(res => ({
+                categories: res.data.categories,
+                departments: res.data.departments,
+                workLocations: res.data.workLocations,
+                attachments: res.data.attachments || null
+            }))
+            .catch(err => {
+                // Try again next time instead of caching the failure
+                cache.delete(path);
+                throw err;
+            });
+        cache.set(path, request);
+    }
+    return cache.get(path);
+};
+
+// Call after editing options so every form picks up the change
+export const announceConfigChange = () => {
+    cache.clear();
+    window.dispatchEvent(new Event(CONFIG_CHANGE_EVENT));
+};
+
+/**
+ * Options grouped as { categories, departments, workLocations }, each a list of { value, label, ... },
+ * and on '/config' attachments: { maxFiles, maxFileMb }
+ * `path` is '/config' (forms) or '/admin/config' (admin filters and settings); null skips loading
+ */
+export function useConfigOptions(path = '/config') {
+    const [options, setOptions] = useState(EMPTY_OPTIONS);
+
+    useEffect(() => {
+        if (!path) return undefined;
+        let active = true;
+        const load = () => loadOptions(path)
+            .then(loaded => { if (active) setOptions(loaded); })
+            .catch(err => console.error('Fetch options error:', err));
+
+        load();
+        window.addEventListener(CONFIG_CHANGE_EVENT, load);
+        return () => {
+            active = false;
+            window.removeEventListener(CONFIG_CHANGE_EVENT, load);
+        };
+    }, [path]);
+
+    return options;
+}
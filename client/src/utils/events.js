@@ -0,0 +1,102 @@
+import { refreshAccessToken } from './api';
+
+// Live updates over Server-Sent Events
+// Uses fetch rather than EventSource so the auth token travels in a header, not the URL
+// Subscribers to the same stream share one connection
+
+const RETRY_MS = [1000, 2000, 5000, 10000, 30000];
+
+const streams = new Map();
+
+// Parse one "event: x\ndata: {...}" block; comments (": ping") and unknown lines are ignored
+const parseBlock = (block) => {
+    let event = 'message';
+    let data = '';
+    block.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+    });
+    if (!data) return null;
+    try {
+        return { event, data: JSON.parse(data) };
+    } catch {
+        return null;
+    }
+};
+
+// Open a stream that fans events out to its listeners and reconnects with backoff until closed
+const openStream = (path, token, listeners) => {
+    const controller = new AbortController();
+    let attempt = 0;
+
+    const connect = async () => {
+        try {
+            const res = await fetch(`/api${path}`, {
+                headers: { Authorization: `Bearer ${token}`, Accept: 'text/event-stream' },
+                signal: controller.signal
+            });
+
+            // Access tokens are short-lived: renew and reconnect; a session that can't be renewed stays closed
+            if (res.status === 401) {
+                token = await refreshAccessToken(token);
+                if (!token || controller.signal.aborted) return;
+                connect();
+                return;
+            }
+            if (res.status === 403) return;
+            if (!res.ok || !res.body) throw new Error(`Event stream failed with ${res.status}`);
+
+            attempt = 0;
+            const reader = res.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+                const blocks = buffer.split('\n\n');
+                buffer = blocks.pop();
+                blocks.forEach(block => {
+                    const parsed = parseBlock(block);
+                    if (parsed) listeners.forEach(listener => listener(parsed.event, parsed.data));
+                });
+            }
+        } catch (err) {
+            if (controller.signal.aborted) return;
+            console.error('Live updates disconnected:', err.message);
+        }
+
+        if (controller.signal.aborted) return;
+        setTimeout(connect, RETRY_MS[Math.min(attempt++, RETRY_MS.length - 1)]);
+    };
+
+    connect();
+    return () => controller.abort();
+};
+
+/**
+ * Subscribe to an event stream under /api (e.g. '/admin/events')
+ * `onEvent(event, data)` is called for every event
+ * Returns an unsubscribe function; the connection closes when its last subscriber leaves
+ */
+export function subscribeToEvents(path, token, onEvent) {
+    const key = `${path}|${token}`;
+    let stream = streams.get(key);
+
+    if (!stream) {
+        const listeners = new Set();
+        stream = { listeners, close: openStream(path, token, listeners) };
+        streams.set(key, stream);
+    }
+    stream.listeners.add(onEvent);
+
+    return () => {
+        stream.listeners.delete(onEvent);
+        if (stream.listeners.size === 0) {
+            stream.close();
+            streams.delete(key);
+        }
+    };
+}
@@ -1,5 +1,8 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Complaint from '../models/Complaint.js';
+import { hasPermission } from '../utils/permissions.js';
+import { hashToken } from '../utils/tokens.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 
@@ -19,6 +22,15 @@ export const authMiddleware = async (req, res, next) => {
             return res.status(401).json({ success: false, message: 'User not found' });
         }
 
+        if (user.isTokenRevoked(decoded)) {
+            return res.status(401).json({ success: false, message: 'Session has been signed out' });
+        }
+
+        // Employee routes are for employee accounts only
+        if (user.role !== 'employee') {
+            return res.status(403).json({ success: false, message: 'Employee access required' });
+        }
+
         if (user.approvalStatus !== 'approved') {
             return res.status(403).json({ success: false, message: 'Account not approved' });
         }
@@ -27,12 +39,13 @@ export const authMiddleware = async (req, res, next) => {
         req.token = token;
         next();
     } catch (error) {
-        console.error('Auth middleware error:', error);
+        // Expired access tokens are routine - the client refreshes and retries
+        if (error.name !== 'TokenExpiredError') console.error('Auth middleware error:', error);
         res.status(401).json({ success: false, message: 'Invalid or expired token' });
     }
 };
 
-// Middleware to verify admin access
+// Middleware to verify admin access - loads the real admin account
 export const adminMiddleware = async (req, res, next) => {
     try {
         const token = req.header('Authorization')?.replace('Bearer ', '');
@@ -48,11 +61,92 @@ export const adminMiddleware = async (req, res, next) => {
             return res.status(403).json({ success: false, message: 'Admin access required' });
         }
 
-        req.user = decoded;
+        const admin = await User.findOne({ _id: decoded._id, role: 'admin' }).select('-password');
+
+        if (!admin) {
+            return res.status(401).json({ success: false, message: 'Admin account not found' });
+        }
+
+        if (admin.isTokenRevoked(decoded)) {
+            return res.status(401).json({ success: false, message: 'Session has been signed out' });
+        }
+
+        if (!admin.isActive) {
+            return res.status(403).json({ success: false, message: 'Admin account is disabled' });
+        }
+
+        req.user = admin;
+        req.token = token;
+        next();
+    } catch (error) {
+        // Expired access tokens are routine - the client refreshes and retries
+        if (error.name !== 'TokenExpiredError') console.error('Admin middleware error:', error);
+        res.status(401).json({ success: false, message: 'Invalid or expired token' });
+    }
+};
+
+// Middleware for routes shared by employees and admins (e.g. the notification center)
+// Applies the same account checks as authMiddleware/adminMiddleware for the token's role
+export const userMiddleware = async (req, res, next) => {
+    try {
+        const token = req.header('Authorization')?.replace('Bearer ', '');
+
+        if (!token) {
+            return res.status(401).json({ success: false, message: 'Authentication required' });
+        }
+
+        const decoded = jwt.verify(token, JWT_SECRET);
+        const user = await User.findOne({ _id: decoded._id, role: decoded.role }).select('-password');
+
+        if (!user) {
+            return res.status(401).json({ success: false, message: 'User not found' });
+        }
+
+        if (user.isTokenRevoked(decoded)) {
+            return res.status(401).json({ success: false, message: 'Session has been signed out' });
+        }
+
+        if (user.role === 'admin' ? !user.isActive : user.approvalStatus !== 'approved') {
+            return res.status(403).json({ success: false, message: 'Account is not active' });
+        }
+
+        req.user = user;
         req.token = token;
         next();
     } catch (error) {
-        console.error('Admin middleware error:', error);
+        // Expired access tokens are routine - the client refreshes and retries
+        if (error.name !== 'TokenExpiredError') console.error('User middleware error:', error);
         res.status(401).json({ success: false, message: 'Invalid or expired token' });
     }
 };
+
+// Middleware factory to check the admin's role grants a permission (use after adminMiddleware)
+export const requirePermission = (permission) => (req, res, next) => {
+    if (!hasPermission(req.user?.adminRole, permission)) {
+        return res.status(403).json({ success: false, message: 'You do not have permission to perform this action' });
+    }
+    next();
+};
+
+// Middleware to load an anonymous complaint from its private access token (X-Complaint-Token header)
+export const anonymousComplaintMiddleware = async (req, res, next) => {
+    try {
+        const token = req.header('X-Complaint-Token');
+
+        if (!token) {
+            return res.status(401).json({ success: false, message: 'Access token required' });
+        }
+
+        const complaint = await Complaint.findOne({ anonymousTokenHash: hashToken(token), isAnonymous: true });
+
+        if (!complaint) {
+            return res.status(404).json({ success: false, message: 'No complaint found for that access token' });
+        }
+
+        req.complaint = complaint;
+        next();
+    } catch (error) {
+        console.error('Anonymous access error:', error);
+        res.status(500).json({ success: false, message: 'Server error occurred' });
+    }
+};
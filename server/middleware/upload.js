@@ -0,0 +1,86 @@
+import multer from 'multer';
+
+export const MAX_FILE_MB = parseInt(process.env.ATTACHMENT_MAX_MB, 10) || 5;
+
+// Most files a complaint can carry in total (and so in one upload); the client reads it from /api/config
+export const MAX_ATTACHMENTS = 5;
+
+// Payslips, screenshots and PF/ESI statements, with the bytes each kind of file starts with
+// (the MIME type is whatever the browser claims, so the contents are checked too)
+const FILE_SIGNATURES = {
+    'application/pdf': [{ offset: 0, bytes: Buffer.from('%PDF-') }],
+    'image/jpeg': [{ offset: 0, bytes: Buffer.from([0xff, 0xd8, 0xff]) }],
+    'image/png': [{ offset: 0, bytes: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) }],
+    'image/webp': [{ offset: 0, bytes: Buffer.from('RIFF') }, { offset: 8, bytes: Buffer.from('WEBP') }]
+};
+
+export const ALLOWED_MIME_TYPES = Object.keys(FILE_SIGNATURES);
+
+// Whether an uploaded file's contents match the type it was sent as
+const hasValidSignature = (file) => FILE_SIGNATURES[file.mimetype].every(({ offset, bytes }) =>
+    file.buffer.subarray(offset, offset + bytes.length).equals(bytes)
+);
+
+// Files are kept in memory and handed to the storage adapter by the route
+const uploader = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FILE_MB * 1024 * 1024, files: MAX_ATTACHMENTS },
+    fileFilter: (req, file, cb) => {
+        if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+            const error = new Error('Invalid file type');
+            error.code = 'INVALID_FILE_TYPE';
+            return cb(error);
+        }
+        cb(null, true);
+    }
+});
+
+// Run a multer handler, turning upload errors into 400 responses instead of reaching the global handler
+// `verify` optionally checks the received files once they are in memory
+const handleUpload = (handler, messages, verify) => (req, res, next) => {
+    handler(req, res, (err) => {
+        if (!err) {
+            if (verify && !verify(req)) {
+                return res.status(400).json({ success: false, message: messages.INVALID_FILE_TYPE });
+            }
+            return next();
+        }
+
+        if (err instanceof multer.MulterError || err.code === 'INVALID_FILE_TYPE') {
+            return res.status(400).json({ success: false, message: messages[err.code] || 'Invalid upload' });
+        }
+
+        console.error('Upload error:', err);
+        res.status(500).json({ success: false, message: 'Server error occurred' });
+    });
+};
+
+// Middleware to accept up to MAX_ATTACHMENTS files in the "attachments" field
+export const uploadAttachments = handleUpload(uploader.array('attachments', MAX_ATTACHMENTS), {
+    LIMIT_FILE_SIZE: `Each file must be ${MAX_FILE_MB}MB or smaller`,
+    LIMIT_FILE_COUNT: `You can attach up to ${MAX_ATTACHMENTS} files`,
+    LIMIT_UNEXPECTED_FILE: `You can attach up to ${MAX_ATTACHMENTS} files`,
+    INVALID_FILE_TYPE: 'Only PDF, JPG, PNG and WEBP files are allowed'
+}, req => (req.files || []).every(hasValidSignature));
+
+// Employee import spreadsheets (browsers report CSV under several MIME types, so check the extension)
+const csvUploader = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 2 * 1024 * 1024, files: 1 },
+    fileFilter: (req, file, cb) => {
+        if (!/\.csv$/i.test(file.originalname)) {
+            const error = new Error('Invalid file type');
+            error.code = 'INVALID_FILE_TYPE';
+            return cb(error);
+        }
+        cb(null, true);
+    }
+});
+
+// Middleware to accept a single CSV in the "file" field
+export const uploadImportFile = handleUpload(csvUploader.single('file'), {
+    LIMIT_FILE_SIZE: 'The file must be 2MB or smaller',
+    LIMIT_FILE_COUNT: 'Upload one file at a time',
+    LIMIT_UNEXPECTED_FILE: 'Upload one file at a time',
+    INVALID_FILE_TYPE: 'Only .csv files can be imported'
+});
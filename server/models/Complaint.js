@@ -1,16 +1,422 @@
 import mongoose from 'mongoose';
+import Counter from './Counter.js';
+import {
+    STATUSES, OPEN_STATUSES, SLA_CLOCK_STATUSES, SLA_PAUSED_STATUS, CONFIRMATION_WINDOW_DAYS, canTransition
+} from '../utils/workflow.js';
+import { slaTargets, addHours } from '../utils/sla.js';
+import { softDeletePlugin } from '../utils/softDelete.js';
+
+// A single entry in the admin <-> employee conversation on a complaint
+const messageSchema = new mongoose.Schema({
+    authorType: { type: String, enum: ['admin', 'employee'], required: true },
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    authorName: { type: String, required: true },
+    body: { type: String, required: true, trim: true, maxlength: 2000 },
+    readByAdmin: { type: Boolean, default: false },
+    readByEmployee: { type: Boolean, default: false }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+// One step in the status audit trail
+const statusChangeSchema = new mongoose.Schema({
+    from: { type: String },
+    to: { type: String, required: true },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    changedByName: { type: String, default: '' },
+    changedByType: { type: String, enum: ['admin', 'employee', 'system'], required: true },
+    note: { type: String, trim: true, maxlength: 1000, default: '' }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+// An employee's correction to a pending complaint: the previous and new value of each changed field
+const editSchema = new mongoose.Schema({
+    editedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    editedByName: { type: String, default: '' },
+    changes: [{
+        _id: false,
+        field: { type: String, required: true },
+        from: { type: mongoose.Schema.Types.Mixed },
+        to: { type: mongoose.Schema.Types.Mixed }
+    }]
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+// The employee's 1-5 verdict on a resolved complaint, credited to whoever was handling it
+const ratingSchema = new mongoose.Schema({
+    score: { type: Number, min: 1, max: 5, required: true },
+    comment: { type: String, trim: true, maxlength: 1000, default: '' },
+    handler: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    handlerName: { type: String, default: '' },
+    ratedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Recorded each time the SLA scheduler escalates a complaint
+const escalationSchema = new mongoose.Schema({
+    type: { type: String, enum: ['first_response', 'resolution'], required: true },
+    fromPriority: { type: String },
+    toPriority: { type: String },
+    previousAssigneeName: { type: String, default: '' },
+    reassignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reassignedToName: { type: String, default: '' }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+// File kept in the storage adapter; the storage key stays server-side
+const attachmentSchema = new mongoose.Schema({
+    key: { type: String, required: true },
+    originalName: { type: String, required: true },
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    uploadedByType: { type: String, enum: ['admin', 'employee'], required: true }
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: {
+        transform: (doc, ret) => {
+            delete ret.key;
+            return ret;
+        }
+    }
+});
+
+// Who filed an anonymous complaint - never selected unless explicitly asked for
+const reporterSchema = new mongoose.Schema({
+    employeeId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: { type: String },
+    email: { type: String },
+    employeeNumber: { type: String }
+}, { _id: false });
+
+// A super-admin looking up who filed an anonymous complaint - who, when and why
+const identityRevealSchema = new mongoose.Schema({
+    revealedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    revealedByName: { type: String, required: true },
+    reason: { type: String, required: true, maxlength: 500 }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+// A value for one of the category's extra fields, with the field's label at the time of filing
+const detailSchema = new mongoose.Schema({
+    key: { type: String, required: true },
+    label: { type: String, required: true },
+    type: { type: String, required: true },
+    value: { type: mongoose.Schema.Types.Mixed, required: true }
+}, { _id: false });
+
+// Anonymous complaints carry no identity in the regular employee fields
+function isIdentified() {
+    return !this.isAnonymous;
+}
 
 const complaintSchema = new mongoose.Schema({
-    employeeId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    employeeName: { type: String, required: true },
-    employeeEmail: { type: String, required: true },
+    referenceNumber: { type: String, unique: true, sparse: true },
+    isAnonymous: { type: Boolean, default: false },
+    reporter: { type: reporterSchema, select: false },
+    // Audit trail of identity reveals, kept as private as the identity itself
+    identityReveals: { type: [identityRevealSchema], select: false },
+    anonymousTokenHash: { type: String, select: false, unique: true, sparse: true },
+    employeeId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: isIdentified },
+    employeeName: { type: String, required: isIdentified },
+    employeeEmail: { type: String, required: isIdentified },
     employeeNumber: { type: String },
     department: { type: String, required: true },
+    workLocation: { type: String },
     category: { type: String, required: true },
     priority: { type: String, enum: ['low', 'medium', 'high'], default: 'medium' },
     message: { type: String, required: true },
-    status: { type: String, enum: ['pending', 'received', 'resolved'], default: 'pending' },
-    adminReply: { type: String, default: '' }
-}, { timestamps: true });
+    details: { type: [detailSchema], default: [] },
+    editHistory: { type: [editSchema], default: [] },
+    status: { type: String, enum: STATUSES, default: 'pending' },
+    statusHistory: { type: [statusChangeSchema], default: [] },
+    // Set while resolved: the employee can confirm or reopen until then, afterwards it is closed automatically
+    confirmationDue: { type: Date, default: null },
+    rating: { type: ratingSchema, default: null },
+    adminReply: { type: String, default: '' },
+    assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    assignedToName: { type: String, default: '' },
+    assignedAt: { type: Date },
+    sla: {
+        firstResponseDue: { type: Date },
+        resolutionDue: { type: Date },
+        firstRespondedAt: { type: Date, default: null },
+        resolvedAt: { type: Date, default: null },
+        firstResponseBreachedAt: { type: Date, default: null },
+        resolutionBreachedAt: { type: Date, default: null },
+        // Set while the clock is stopped waiting on the employee
+        pausedAt: { type: Date, default: null }
+    },
+    escalationLevel: { type: Number, default: 0 },
+    escalations: { type: [escalationSchema], default: [] },
+    messages: { type: [messageSchema], default: [] },
+    attachments: { type: [attachmentSchema], default: [] }
+}, {
+    timestamps: true,
+    toJSON: {
+        // Anonymous reporter details only leave the server through the dedicated admin route
+        transform: (doc, ret) => {
+            delete ret.reporter;
+            delete ret.identityReveals;
+            delete ret.anonymousTokenHash;
+            return ret;
+        }
+    }
+});
+
+// Indexes backing the admin list filters/sorts and the employee "my complaints" view
+complaintSchema.index({ createdAt: -1 });
+complaintSchema.index({ status: 1, createdAt: -1 });
+complaintSchema.index({ priority: 1, createdAt: -1 });
+complaintSchema.index({ category: 1, createdAt: -1 });
+complaintSchema.index({ department: 1, createdAt: -1 });
+complaintSchema.index({ employeeId: 1, createdAt: -1 });
+complaintSchema.index({ assignedTo: 1, status: 1, createdAt: -1 });
+complaintSchema.index({ status: 1, 'sla.firstResponseDue': 1 });
+complaintSchema.index({ status: 1, 'sla.resolutionDue': 1 });
+complaintSchema.index({ status: 1, confirmationDue: 1 });
+complaintSchema.index({ 'rating.ratedAt': -1 });
+complaintSchema.index({ message: 'text', employeeName: 'text' });
+
+// Deleted complaints stay in the Trash until restored or purged
+complaintSchema.plugin(softDeletePlugin);
+
+// Assign a human-friendly sequential reference (CB-YYYY-NNNNNN) on creation
+complaintSchema.pre('save', async function (next) {
+    if (!this.isNew || this.referenceNumber) return next();
+
+    const year = new Date().getFullYear();
+    const seq = await Counter.next(`complaint-${year}`);
+    this.referenceNumber = `CB-${year}-${String(seq).padStart(6, '0')}`;
+    this.applySlaTargets();
+    next();
+});
+
+// Set first-response and resolution due dates from the SLA policy
+complaintSchema.methods.applySlaTargets = function (from = new Date()) {
+    const { firstResponseHours, resolutionHours } = slaTargets(this.category, this.priority);
+    this.sla.firstResponseDue = addHours(from, firstResponseHours);
+    this.sla.resolutionDue = addHours(from, resolutionHours);
+};
+
+// Open complaint past its first-response or resolution due date (never while the SLA clock is paused)
+complaintSchema.methods.isOverdue = function (now = new Date()) {
+    if (!SLA_CLOCK_STATUSES.includes(this.status)) return false;
+    const { firstResponseDue, resolutionDue, firstRespondedAt } = this.sla || {};
+    return Boolean((resolutionDue && resolutionDue <= now) || (!firstRespondedAt && firstResponseDue && firstResponseDue <= now));
+};
+
+// Record a status change with who/when/why and keep the SLA bookkeeping in step
+// Doesn't check the workflow - admin changes go through transitionTo, employee actions check their own rules
+function recordStatus(complaint, status, { by, byName, byType, note } = {}) {
+    complaint.statusHistory.push({
+        from: complaint.status,
+        to: status,
+        changedBy: by,
+        changedByName: byName,
+        changedByType: byType,
+        note
+    });
+    complaint.status = status;
+
+    // SLA bookkeeping: stop the clock while waiting on the employee, and push the due dates back by the wait
+    if (status === SLA_PAUSED_STATUS) {
+        if (!complaint.sla.pausedAt) complaint.sla.pausedAt = new Date();
+    } else if (complaint.sla.pausedAt) {
+        const pausedHours = (Date.now() - complaint.sla.pausedAt.getTime()) / (60 * 60 * 1000);
+        if (!complaint.sla.firstRespondedAt && complaint.sla.firstResponseDue) {
+            complaint.sla.firstResponseDue = addHours(complaint.sla.firstResponseDue, pausedHours);
+        }
+        if (complaint.sla.resolutionDue) complaint.sla.resolutionDue = addHours(complaint.sla.resolutionDue, pausedHours);
+        complaint.sla.pausedAt = null;
+    }
+
+    // Any admin action counts as the first response
+    if (byType === 'admin' && !complaint.sla.firstRespondedAt) complaint.sla.firstRespondedAt = new Date();
+    // Set by a resolution only: closing a complaint that was never resolved leaves it unset, so it isn't reported as resolved
+    if (status === 'resolved' && !complaint.sla.resolvedAt) complaint.sla.resolvedAt = new Date();
+    if (status === 'reopened') {
+        // A reopened complaint gets a fresh resolution window
+        const { resolutionHours } = slaTargets(complaint.category, complaint.priority);
+        complaint.sla.resolvedAt = null;
+        complaint.sla.resolutionBreachedAt = null;
+        complaint.sla.resolutionDue = addHours(new Date(), resolutionHours);
+    }
+
+    complaint.confirmationDue = status === 'resolved' ? addHours(new Date(), CONFIRMATION_WINDOW_DAYS * 24) : null;
+}
+
+// Move to a new status if the workflow allows it, recording who/when/why
+// Returns false (and changes nothing) for a disallowed transition
+complaintSchema.methods.transitionTo = function (status, changedBy = {}) {
+    if (!canTransition(this.status, status)) return false;
+    recordStatus(this, status, changedBy);
+    return true;
+};
+
+// Employees may correct their complaint until HR starts on it
+complaintSchema.methods.isEditable = function () {
+    return this.status === 'pending';
+};
+
+// Employees may withdraw anything still open
+complaintSchema.methods.isWithdrawable = function () {
+    return OPEN_STATUSES.includes(this.status);
+};
+
+/**
+ * Apply an employee's edit, keeping the previous values in editHistory
+ * `changes` is { field: newValue } for category/priority/message/details, already validated
+ * Returns the list of fields that actually changed
+ */
+complaintSchema.methods.applyEdit = function (changes, { by, byName } = {}) {
+    const changed = Object.entries(changes)
+        .map(([field, value]) => {
+            const current = this.get(field);
+            return { field, from: current?.toObject ? current.toObject() : current, to: value };
+        })
+        .filter(({ from, to }) => JSON.stringify(from) !== JSON.stringify(to));
+    if (changed.length === 0) return [];
+
+    changed.forEach(({ field, to }) => this.set(field, to));
+    this.editHistory.push({ editedBy: by, editedByName: byName, changes: changed });
+
+    // Targets depend on category and priority; they still run from when the complaint was filed
+    if (changed.some(c => c.field === 'category' || c.field === 'priority')) this.applySlaTargets(this.createdAt);
+
+    return changed.map(c => c.field);
+};
+
+// Withdraw on the employee's behalf - kept (not deleted) so HR can see what happened and why
+complaintSchema.methods.withdraw = function ({ by, byName, reason }) {
+    if (!this.isWithdrawable()) return false;
+    recordStatus(this, 'withdrawn', { by, byName, byType: 'employee', note: reason });
+    return true;
+};
+
+// Resolved, and the employee can still confirm or reopen it
+// (complaints resolved before the confirmation window existed have no due date and stay answerable)
+complaintSchema.methods.isAwaitingConfirmation = function (now = new Date()) {
+    return this.status === 'resolved' && (!this.confirmationDue || this.confirmationDue > now);
+};
+
+// The employee accepts the resolution, closing the complaint
+complaintSchema.methods.confirmResolution = function ({ by, byName }) {
+    if (!this.isAwaitingConfirmation()) return false;
+    recordStatus(this, 'closed', { by, byName, byType: 'employee', note: 'Resolution confirmed by the employee' });
+    return true;
+};
+
+// The employee says it isn't sorted out - back to the handler with a fresh resolution target
+complaintSchema.methods.reopenByEmployee = function ({ by, byName, reason }) {
+    if (!this.isAwaitingConfirmation()) return false;
+    recordStatus(this, 'reopened', { by, byName, byType: 'employee', note: reason });
+    return true;
+};
+
+// Close a resolution the employee didn't answer within the window (run by the scheduler)
+complaintSchema.methods.autoClose = function () {
+    recordStatus(this, 'closed', {
+        byName: 'System',
+        byType: 'system',
+        note: `Closed automatically - not confirmed or reopened within ${CONFIRMATION_WINDOW_DAYS} days`
+    });
+};
+
+// Resolved, or closed straight after a resolution - not closed by HR without ever resolving it
+complaintSchema.methods.wasResolved = function () {
+    return this.status === 'resolved' || (this.status === 'closed' && this.statusHistory.at(-1)?.from === 'resolved');
+};
+
+// One rating per complaint, once it has been resolved (the rating is credited to the handler)
+complaintSchema.methods.canBeRated = function () {
+    return this.wasResolved() && !this.rating?.score;
+};
+
+complaintSchema.methods.rate = function ({ score, comment }) {
+    if (!this.canBeRated()) return false;
+    this.rating = {
+        score,
+        comment,
+        handler: this.assignedTo,
+        handlerName: this.assignedToName,
+        ratedAt: new Date()
+    };
+    return true;
+};
+
+// Hand the complaint to an admin (or pass null to unassign)
+complaintSchema.methods.assignTo = function (handler) {
+    this.assignedTo = handler ? handler._id : null;
+    this.assignedToName = handler ? handler.name : '';
+    this.assignedAt = handler ? new Date() : undefined;
+};
+
+// Add a message to the thread; the author's own side is marked as read
+complaintSchema.methods.addMessage = function (authorType, { author, authorName, body }) {
+    this.messages.push({
+        authorType,
+        author,
+        authorName,
+        body,
+        readByAdmin: authorType === 'admin',
+        readByEmployee: authorType === 'employee'
+    });
+
+    // Keep the legacy single-reply field pointing at the latest admin response
+    if (authorType === 'admin') {
+        this.adminReply = body;
+        if (!this.sla.firstRespondedAt) this.sla.firstRespondedAt = new Date();
+    }
+
+    return this.messages[this.messages.length - 1];
+};
+
+// Employee reply; answering puts an awaiting_employee complaint back in the handler's court
+complaintSchema.methods.addEmployeeReply = function ({ author, authorName, body }) {
+    const message = this.addMessage('employee', { author, authorName, body });
+
+    if (this.status === 'awaiting_employee') {
+        this.transitionTo('in_progress', {
+            by: author,
+            byName: authorName,
+            byType: 'employee',
+            note: 'Employee replied'
+        });
+    }
+
+    return message;
+};
+
+// Mark the other side's messages as read by the given reader ('admin' | 'employee')
+// Returns true if anything changed so callers can skip a needless save
+complaintSchema.methods.markMessagesRead = function (reader) {
+    const flag = reader === 'admin' ? 'readByAdmin' : 'readByEmployee';
+    let changed = false;
+
+    this.messages.forEach(msg => {
+        if (!msg[flag]) {
+            msg[flag] = true;
+            changed = true;
+        }
+    });
+
+    return changed;
+};
+
+// Public-safe progress timeline for the status tracker (no message contents)
+complaintSchema.methods.buildTimeline = function () {
+    const timeline = [{ event: 'submitted', label: 'Complaint submitted', at: this.createdAt }];
+
+    this.messages
+        .filter(msg => msg.authorType === 'admin')
+        .forEach(msg => timeline.push({ event: 'reply', label: 'HR responded', at: msg.createdAt }));
+
+    this.statusHistory.forEach(change => timeline.push({
+        event: change.to,
+        label: `Marked as ${change.to.replace(/_/g, ' ')}`,
+        at: change.createdAt
+    }));
+
+    // Complaints from before status history was recorded only know their current status
+    if (this.statusHistory.length === 0 && this.status !== 'pending') {
+        timeline.push({ event: this.status, label: `Marked as ${this.status}`, at: this.updatedAt });
+    }
+
+    return timeline.sort((a, b) => new Date(a.at) - new Date(b.at));
+};
 
 export default mongoose.model('Complaint', complaintSchema);
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+import { FIELD_TYPES } from '../utils/complaintFields.js';
+
+// An extra input on the complaint form of a category (see utils/complaintFields)
+const fieldSchema = new mongoose.Schema({
+    key: { type: String, required: true },
+    label: { type: String, required: true },
+    type: { type: String, enum: FIELD_TYPES, required: true },
+    required: { type: Boolean, default: false },
+    options: { type: [String], default: [] }
+}, { _id: false });
+
+// Admin-managed master data: complaint categories, departments and work locations
+// `value` is what complaints and users store, so it never changes once created; `label` is what forms show
+// Retired options are deactivated rather than deleted so existing records keep a valid value
+const configOptionSchema = new mongoose.Schema({
+    type: { type: String, enum: ['category', 'department', 'workLocation'], required: true },
+    value: { type: String, required: true, trim: true },
+    label: { type: String, required: true, trim: true },
+    order: { type: Number, default: 0 },
+    isActive: { type: Boolean, default: true },
+    // Categories only: extra complaint fields
+    fields: { type: [fieldSchema], default: [] }
+}, { timestamps: true });
+
+configOptionSchema.index({ type: 1, value: 1 }, { unique: true });
+
+export default mongoose.model('ConfigOption', configOptionSchema);
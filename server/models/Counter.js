@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+
+// Named sequence counters (e.g. complaint reference numbers per year)
+const counterSchema = new mongoose.Schema({
+    _id: { type: String, required: true },
+    seq: { type: Number, default: 0 }
+});
+
+// Atomically increment and return the next value of a sequence
+counterSchema.statics.next = async function (name) {
+    const counter = await this.findByIdAndUpdate(
+        name,
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+    );
+    return counter.seq;
+};
+
+export default mongoose.model('Counter', counterSchema);
@@ -0,0 +1,17 @@
+import mongoose from 'mongoose';
+
+// Entry in a user's in-app notification center
+const notificationSchema = new mongoose.Schema({
+    recipient: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    event: { type: String, required: true },
+    title: { type: String, required: true },
+    body: { type: String, default: '' },
+    link: { type: String, default: '' },
+    complaint: { type: mongoose.Schema.Types.ObjectId, ref: 'Complaint' },
+    readAt: { type: Date, default: null }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+
+export default mongoose.model('Notification', notificationSchema);
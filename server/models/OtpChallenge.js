@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+// A one-time code sent to a phone number, and the single-use token handed out once it is verified
+const otpChallengeSchema = new mongoose.Schema({
+    purpose: { type: String, enum: ['password_reset', 'phone_verification'], required: true },
+    phone: { type: String, required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    codeHash: { type: String, required: true },
+    attempts: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true },
+    verifiedAt: { type: Date, default: null },
+    tokenHash: { type: String },
+    tokenExpiresAt: { type: Date },
+    usedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+otpChallengeSchema.index({ purpose: 1, phone: 1, createdAt: -1 });
+otpChallengeSchema.index({ tokenHash: 1 }, { sparse: true });
+// Old challenges are cleaned up by MongoDB after a day
+otpChallengeSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+export default mongoose.model('OtpChallenge', otpChallengeSchema);
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// A rendered notification waiting to be (or already) delivered by a transport
+const outboxMessageSchema = new mongoose.Schema({
+    channel: { type: String, enum: ['email', 'sms'], required: true },
+    to: { type: String, required: true },
+    subject: { type: String, default: '' },
+    body: { type: String, required: true },
+    event: { type: String, required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    status: { type: String, enum: ['pending', 'sending', 'sent', 'failed'], default: 'pending' },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 5 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedAt: { type: Date, default: null },
+    lastError: { type: String, default: '' },
+    sentAt: { type: Date, default: null },
+    // One-time codes: kept for delivery but never shown in the admin outbox
+    sensitive: { type: Boolean, default: false }
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: (doc, ret) => {
+            if (ret.sensitive) ret.body = '[hidden]';
+            return ret;
+        }
+    }
+});
+
+outboxMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+outboxMessageSchema.index({ userId: 1, createdAt: -1 });
+
+export default mongoose.model('OutboxMessage', outboxMessageSchema);
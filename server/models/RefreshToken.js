@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+
+// A signed-in device. Each refresh hands out a new token in the same family and marks the old one rotated,
+// so a rotated token showing up again means it was copied - the whole family is revoked
+const refreshTokenSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    family: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+    rotatedAt: { type: Date, default: null },
+    revokedAt: { type: Date, default: null },
+    userAgent: { type: String, default: '' }
+}, { timestamps: true });
+
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ family: 1 });
+// Expired tokens are cleaned up by MongoDB
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('RefreshToken', refreshTokenSchema);
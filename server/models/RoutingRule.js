@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+// Auto-assignment rule: complaints matching every non-empty list go to one of the assignees
+const routingRuleSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    categories: { type: [String], default: [] },
+    departments: { type: [String], default: [] },
+    workLocations: { type: [String], default: [] },
+    assignees: {
+        type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+        validate: [list => list.length > 0, 'At least one assignee is required']
+    },
+    order: { type: Number, default: 0 },
+    isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+// An empty list means "any value"
+routingRuleSchema.methods.matches = function (complaint) {
+    const fits = (list, value) => list.length === 0 || list.includes(value);
+    return fits(this.categories, complaint.category)
+        && fits(this.departments, complaint.department)
+        && fits(this.workLocations, complaint.workLocation);
+};
+
+export default mongoose.model('RoutingRule', routingRuleSchema);
@@ -1,24 +1,66 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
+import { ADMIN_ROLES, ROLE_PERMISSIONS } from '../utils/permissions.js';
+import { softDeletePlugin } from '../utils/softDelete.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+// Employee-only fields are optional on admin accounts
+const isEmployee = function () { return this.role === 'employee'; };
 
 const userSchema = new mongoose.Schema({
     name: { type: String, required: true },
-    email: { type: String, required: true, unique: true },
+    username: { type: String, unique: true, sparse: true, trim: true, lowercase: true },
+    // Stored lowercase so the unique index treats John@Corp.com and john@corp.com as one address
+    email: { type: String, required: true, unique: true, lowercase: true, trim: true },
     password: { type: String, required: true },
-    employeeNumber: { type: String, required: true, unique: true },
-    department: { type: String, required: true },
-    workLocation: { type: String, required: true },
+    employeeNumber: { type: String, required: isEmployee, unique: true, sparse: true },
+    department: {
+        type: String,
+        required: function () { return this.role === 'employee' || this.adminRole === 'department_handler'; }
+    },
+    workLocation: { type: String, required: isEmployee },
+    // Set once the employee proved they hold the phone number (registration or password reset code)
+    phoneVerifiedAt: { type: Date, default: null },
     role: { type: String, enum: ['employee', 'admin'], default: 'employee' },
+    adminRole: {
+        type: String,
+        enum: ADMIN_ROLES,
+        required: function () { return this.role === 'admin'; }
+    },
+    isActive: { type: Boolean, default: true },
+    // Part of every access token; bumping it signs the account out everywhere (see utils/sessions)
+    tokenVersion: { type: Number, default: 0 },
     approvalStatus: {
         type: String,
         enum: ['pending', 'approved', 'rejected'],
         default: 'pending'
+    },
+    // One-time set-password link for accounts created by an admin (CSV import)
+    // Cleared once the employee picks a password
+    passwordSetup: {
+        tokenHash: { type: String, select: false },
+        expiresAt: { type: Date, default: null }
+    },
+    // Channels and events the user wants to hear about (see utils/notifications)
+    notificationPreferences: {
+        email: { type: Boolean, default: true },
+        sms: { type: Boolean, default: true },
+        events: {
+            account_approval: { type: Boolean, default: true },
+            complaint_status: { type: Boolean, default: true },
+            complaint_reply: { type: Boolean, default: true }
+        }
     }
 }, { timestamps: true });
 
+userSchema.index({ 'passwordSetup.tokenHash': 1 }, { sparse: true });
+
+// Deleted employees stay in the Trash until restored or purged
+userSchema.plugin(softDeletePlugin);
+
 // Hash password before saving
 userSchema.pre('save', async function (next) {
     if (!this.isModified('password')) return next();
@@ -26,37 +68,55 @@ userSchema.pre('save', async function (next) {
     next();
 });
 
+// Whether the user has opted in to an event on a channel ('email' | 'sms')
+userSchema.methods.wantsNotification = function (event, channel) {
+    const prefs = this.notificationPreferences || {};
+    return prefs[channel] !== false && prefs.events?.[event] !== false;
+};
+
+// Whether the account still waits for its owner to choose a password
+userSchema.methods.needsPasswordSetup = function () {
+    return Boolean(this.passwordSetup?.expiresAt);
+};
+
 // Compare password method
 userSchema.methods.comparePassword = async function (candidatePassword) {
     return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Generate JWT token
+// Generate a short-lived JWT access token - clients renew it with their refresh token (utils/sessions)
 userSchema.methods.generateAuthToken = function () {
     const token = jwt.sign(
         {
             _id: this._id,
             email: this.email,
-            role: this.role
+            role: this.role,
+            tv: this.tokenVersion || 0
         },
         JWT_SECRET,
-        { expiresIn: '7d' }
+        { expiresIn: ACCESS_TOKEN_TTL }
     );
     return token;
 };
 
-// Static method to generate admin token
-userSchema.statics.generateAdminToken = function (adminUser) {
-    const token = jwt.sign(
-        {
-            _id: adminUser._id,
-            email: adminUser.email,
-            role: 'admin'
-        },
-        JWT_SECRET,
-        { expiresIn: '24h' }
-    );
-    return token;
+// Whether a decoded access token was issued before the account was last signed out everywhere
+userSchema.methods.isTokenRevoked = function (decoded) {
+    return (decoded.tv || 0) !== (this.tokenVersion || 0);
+};
+
+// Public profile of an admin account, including what the UI may show
+userSchema.methods.toAdminProfile = function () {
+    return {
+        _id: this._id,
+        name: this.name,
+        username: this.username,
+        email: this.email,
+        role: this.role,
+        adminRole: this.adminRole,
+        department: this.department,
+        isActive: this.isActive,
+        permissions: ROLE_PERMISSIONS[this.adminRole] || []
+    };
 };
 
 export default mongoose.model('User', userSchema);
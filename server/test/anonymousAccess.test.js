@@ -0,0 +1,112 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { startApp, stopApp, createEmployee, createAdmin } from './helpers.js';
+
+// An anonymous complaint is reached only through the private access token handed out when it is filed;
+// it isn't linked to the employee's account, and only super-admins can look up who filed it (with a reason)
+
+let app;
+let Complaint;
+let reporter;
+let reporterToken;
+let complaintId;
+let accessToken;
+
+const withToken = (req, token = accessToken) => req.set('X-Complaint-Token', token);
+
+before(async () => {
+    ({ app, Complaint } = await startApp());
+    const { seedMasterData } = await import('../utils/masterData.js');
+    await seedMasterData();
+
+    reporter = await createEmployee('Reporter', '9000000051');
+    reporterToken = reporter.generateAuthToken();
+
+    const res = await request(app)
+        .post('/api/complaints')
+        .set('Authorization', `Bearer ${reporterToken}`)
+        .send({ category: 'Payroll', message: 'My manager keeps changing my shift hours', anonymous: true });
+
+    assert.equal(res.status, 201);
+    complaintId = res.body.complaint._id;
+    accessToken = res.body.accessToken;
+});
+
+after(stopApp);
+
+describe('filing anonymously', () => {
+    it('hand back an access token and leave the identity off the complaint', async () => {
+        assert.ok(accessToken);
+
+        const stored = await Complaint.findById(complaintId).select('+reporter');
+        assert.equal(stored.isAnonymous, true);
+        assert.equal(stored.employeeId, undefined);
+        assert.equal(stored.employeeName, undefined);
+        // Kept in the hidden field (ANONYMOUS_IDENTITY_MODE=restricted, the default)
+        assert.equal(String(stored.reporter.employeeId), String(reporter._id));
+    });
+
+    it('keep the complaint out of the employee\'s own list', async () => {
+        const res = await request(app).get('/api/complaints').set('Authorization', `Bearer ${reporterToken}`);
+
+        assert.equal(res.status, 200);
+        assert.ok(!res.body.some(c => c._id === complaintId));
+    });
+});
+
+describe('access token routes', () => {
+    it('return the complaint for its token, without any identity', async () => {
+        const res = await withToken(request(app).get('/api/anonymous/complaint'));
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.complaint._id, complaintId);
+        assert.equal(res.body.complaint.reporter, undefined);
+        assert.equal(res.body.complaint.anonymousTokenHash, undefined);
+    });
+
+    it('require a token', async () => {
+        const res = await request(app).get('/api/anonymous/complaint');
+        assert.equal(res.status, 401);
+    });
+
+    it('return 404 for an unknown token', async () => {
+        const res = await withToken(request(app).get('/api/anonymous/complaint'), 'f'.repeat(64));
+        assert.equal(res.status, 404);
+    });
+
+    it('post replies as "Anonymous"', async () => {
+        const res = await withToken(request(app).post('/api/anonymous/complaint/messages')).send({ body: 'It happened again today' });
+
+        assert.equal(res.status, 201);
+        assert.equal(res.body.messages.at(-1).authorName, 'Anonymous');
+        assert.equal(res.body.messages.at(-1).author, undefined);
+    });
+});
+
+describe('revealing the reporter', () => {
+    const reveal = (token, body) => request(app)
+        .post(`/api/admin/complaints/${complaintId}/reporter`)
+        .set('Authorization', `Bearer ${token}`)
+        .send(body);
+
+    it('refuse admins without the identity permission', async () => {
+        const officer = await createAdmin('anonymous-officer', 'hr_officer');
+        const res = await reveal(officer.generateAuthToken(), { reason: 'Follow-up with the employee' });
+
+        assert.equal(res.status, 403);
+    });
+
+    it('log who looked and why', async () => {
+        const superAdmin = await createAdmin('anonymous-super');
+        const res = await reveal(superAdmin.generateAuthToken(), { reason: 'Harassment investigation' });
+
+        assert.equal(res.status, 200);
+        assert.equal(String(res.body.reporter.employeeId), String(reporter._id));
+
+        const stored = await Complaint.findById(complaintId).select('+identityReveals');
+        assert.equal(stored.identityReveals.length, 1);
+        assert.equal(stored.identityReveals[0].reason, 'Harassment investigation');
+        assert.equal(String(stored.identityReveals[0].revealedBy), String(superAdmin._id));
+    });
+});
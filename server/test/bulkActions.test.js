@@ -0,0 +1,82 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { startApp, stopApp, createEmployee, createAdmin, createComplaint } from './helpers.js';
+
+// Bulk actions are all-or-nothing (utils/bulk.js): one item that can't be processed rolls back the
+// whole batch and the response says which one and why
+
+let app;
+let User;
+let Complaint;
+let owner;
+let adminToken;
+
+const bulk = (path, body) => request(app)
+    .post(`/api/admin/${path}`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(body);
+
+before(async () => {
+    // Transactions need a replica set
+    ({ app, User, Complaint } = await startApp({ replSet: true }));
+
+    owner = await createEmployee('Owner', '9000000041');
+    adminToken = (await createAdmin('bulk-admin')).generateAuthToken();
+});
+
+after(stopApp);
+
+describe('bulk status change', () => {
+    it('change every complaint when all of them allow the move', async () => {
+        const complaints = [await createComplaint(owner), await createComplaint(owner)];
+
+        const res = await bulk('complaints/bulk/status', { ids: complaints.map(c => c._id), status: 'received' });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.summary.succeeded, 2);
+        const stored = await Complaint.find({ _id: { $in: complaints.map(c => c._id) } });
+        assert.ok(stored.every(c => c.status === 'received'));
+    });
+
+    it('change nothing when one complaint can\'t make the move', async () => {
+        const movable = await createComplaint(owner);
+        const withdrawn = await createComplaint(owner, { status: 'withdrawn' });
+
+        const res = await bulk('complaints/bulk/status', { ids: [movable._id, withdrawn._id], status: 'received' });
+
+        assert.equal(res.status, 409);
+        assert.equal(res.body.applied, false);
+        assert.deepEqual(res.body.summary, { total: 2, succeeded: 0, failed: 1 });
+        const failed = res.body.results.find(r => r.id === String(withdrawn._id));
+        assert.equal(failed.success, false);
+
+        const stored = await Complaint.findById(movable._id);
+        assert.equal(stored.status, 'pending');
+        assert.equal(stored.statusHistory.length, 0);
+    });
+});
+
+describe('bulk delete', () => {
+    it('keep every complaint when one of them is missing', async () => {
+        const complaint = await createComplaint(owner);
+        const missing = '000000000000000000000000';
+
+        const res = await bulk('complaints/bulk/delete', { ids: [complaint._id, missing] });
+
+        assert.equal(res.status, 409);
+        assert.ok(await Complaint.findById(complaint._id));
+    });
+});
+
+describe('bulk approval', () => {
+    it('approve nobody when one of the users is not an employee', async () => {
+        const pending = await createEmployee('Pending', '9000000042', { approvalStatus: 'pending' });
+        const admin = await createAdmin('not-an-employee', 'hr_officer');
+
+        const res = await bulk('users/bulk/approval', { ids: [pending._id, admin._id], approvalStatus: 'approved' });
+
+        assert.equal(res.status, 409);
+        assert.equal((await User.findById(pending._id)).approvalStatus, 'pending');
+    });
+});
@@ -0,0 +1,97 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { startApp, stopApp, createEmployee, createComplaint } from './helpers.js';
+
+// Employees may only see and act on their own complaints: anyone else's are reported as missing (404),
+// and a complaint can't be filed on another employee's behalf (403)
+
+// Smallest valid PNG header, enough for the upload filter
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+let app;
+let Complaint;
+let complaint;
+let ownerToken;
+let otherToken;
+
+before(async () => {
+    ({ app, Complaint } = await startApp());
+
+    const owner = await createEmployee('Owner', '9000000001');
+    const other = await createEmployee('Other', '9000000002');
+    ownerToken = owner.generateAuthToken();
+    otherToken = other.generateAuthToken();
+
+    complaint = await createComplaint(owner, {
+        attachments: [{
+            key: 'complaints/test/payslip.png',
+            originalName: 'payslip.png',
+            mimeType: 'image/png',
+            size: PNG.length,
+            uploadedBy: owner._id,
+            uploadedByType: 'employee'
+        }]
+    });
+});
+
+after(stopApp);
+
+describe('employee complaint routes', () => {
+    it('return the complaint to its owner', async () => {
+        const res = await request(app)
+            .get(`/api/complaints/${complaint._id}`)
+            .set('Authorization', `Bearer ${ownerToken}`);
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.complaint._id, String(complaint._id));
+    });
+
+    it('leave other employees\' complaints out of the list', async () => {
+        const res = await request(app)
+            .get('/api/complaints')
+            .set('Authorization', `Bearer ${otherToken}`);
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body, []);
+    });
+
+    const crossUserRequests = [
+        ['GET the complaint', (id) => request(app).get(`/api/complaints/${id}`)],
+        ['PATCH the complaint', (id) => request(app).patch(`/api/complaints/${id}`).send({ priority: 'high' })],
+        ['withdraw the complaint', (id) => request(app).post(`/api/complaints/${id}/withdraw`).send({ reason: 'Not mine' })],
+        ['answer the resolution', (id) => request(app).post(`/api/complaints/${id}/resolution`).send({ action: 'confirm' })],
+        ['rate the complaint', (id) => request(app).post(`/api/complaints/${id}/rating`).send({ score: 1 })],
+        ['GET the messages', (id) => request(app).get(`/api/complaints/${id}/messages`)],
+        ['POST a message', (id) => request(app).post(`/api/complaints/${id}/messages`).send({ body: 'Hello' })],
+        ['upload an attachment', (id) => request(app).post(`/api/complaints/${id}/attachments`)
+            .attach('attachments', PNG, { filename: 'photo.png', contentType: 'image/png' })],
+        ['download an attachment', (id) => request(app).get(`/api/complaints/${id}/attachments/${complaint.attachments[0]._id}`)]
+    ];
+
+    for (const [action, send] of crossUserRequests) {
+        it(`return 404 when another employee tries to ${action}`, async () => {
+            const res = await send(complaint._id).set('Authorization', `Bearer ${otherToken}`);
+            assert.equal(res.status, 404);
+        });
+    }
+
+    it('leave the complaint untouched after cross-user writes', async () => {
+        const stored = await Complaint.findById(complaint._id);
+
+        assert.equal(stored.priority, 'medium');
+        assert.equal(stored.status, 'pending');
+        assert.equal(stored.messages.length, 0);
+        assert.equal(stored.attachments.length, 1);
+    });
+
+    it('refuse a complaint filed for another employee', async () => {
+        const res = await request(app)
+            .post('/api/complaints')
+            .set('Authorization', `Bearer ${otherToken}`)
+            .send({ employeeId: String(complaint.employeeId), category: 'Salary', message: 'Filed for someone else' });
+
+        assert.equal(res.status, 403);
+        assert.equal(await Complaint.countDocuments({ message: 'Filed for someone else' }), 0);
+    });
+});
@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+import { MongoMemoryServer, MongoMemoryReplSet } from 'mongodb-memory-server';
+
+// Shared setup for the API tests: a throwaway MongoDB, then the app and the models
+// (imported only once the environment points at that database - they read it at import time)
+// Bulk actions run in a transaction, so their tests ask for a single-node replica set
+
+let mongo;
+
+export async function startApp({ replSet = false } = {}) {
+    mongo = replSet
+        ? await MongoMemoryReplSet.create({ replSet: { count: 1 } })
+        : await MongoMemoryServer.create();
+
+    process.env.NODE_ENV = 'test';
+    process.env.MONGO_URI = mongo.getUri();
+    process.env.JWT_SECRET = 'test-secret-that-is-at-least-32-characters';
+    process.env.NOTIFICATION_EMAIL_TRANSPORT = 'fake';
+    process.env.NOTIFICATION_SMS_TRANSPORT = 'fake';
+
+    const { default: app } = await import('../server.js');
+    const { default: User } = await import('../models/User.js');
+    const { default: Complaint } = await import('../models/Complaint.js');
+
+    await mongoose.connect(mongo.getUri());
+    return { app, User, Complaint };
+}
+
+export async function stopApp() {
+    await mongoose.disconnect();
+    await mongo?.stop();
+}
+
+// An approved employee; the phone number doubles as the login
+export async function createEmployee(name, employeeNumber, fields = {}) {
+    const { default: User } = await import('../models/User.js');
+    return User.create({
+        name,
+        email: `${employeeNumber}@example.com`,
+        password: 'password123',
+        employeeNumber,
+        department: 'Operations',
+        workLocation: 'Head Office',
+        approvalStatus: 'approved',
+        ...fields
+    });
+}
+
+export async function createAdmin(username, adminRole = 'super_admin', fields = {}) {
+    const { default: User } = await import('../models/User.js');
+    return User.create({
+        name: username,
+        username,
+        email: `${username}@example.com`,
+        password: 'password123',
+        role: 'admin',
+        adminRole,
+        ...fields
+    });
+}
+
+// A complaint filed by `owner`, straight into the database
+export async function createComplaint(owner, fields = {}) {
+    const { default: Complaint } = await import('../models/Complaint.js');
+    return Complaint.create({
+        employeeId: owner._id,
+        employeeName: owner.name,
+        employeeEmail: owner.email,
+        employeeNumber: owner.employeeNumber,
+        department: owner.department,
+        workLocation: owner.workLocation,
+        category: 'Salary',
+        message: 'Salary for March was not credited',
+        ...fields
+    });
+}
@@ -0,0 +1,70 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import OtpChallenge from '../models/OtpChallenge.js';
+import { sentMessages } from '../utils/notifications/transports/fakeTransport.js';
+import { OTP_MAX_ATTEMPTS } from '../utils/otp.js';
+import { startApp, stopApp } from './helpers.js';
+
+// One-time codes (utils/otp.js) allow a few wrong guesses, expire, and can't be re-sent right away
+// Every request here counts towards the code limiter (10 per 15 minutes), so the tests stay within it
+
+let app;
+
+const sendCode = (phone) => request(app).post('/api/auth/register/send-otp').send({ employeeNumber: phone });
+const verifyCode = (phone, code) => request(app).post('/api/auth/register/verify-otp').send({ employeeNumber: phone, code });
+
+// The text goes out through the outbox after the response, so wait for it to reach the fake transport
+const receivedCode = async (phone) => {
+    for (let i = 0; i < 50; i++) {
+        const message = sentMessages().findLast(m => m.to === phone);
+        if (message) return message.text.match(/\d{6}/)[0];
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error(`No code was texted to ${phone}`);
+};
+
+// Any six digits except the real code
+const wrongCode = (code) => String((Number(code) + 1) % 1000000).padStart(6, '0');
+
+before(async () => {
+    ({ app } = await startApp());
+});
+
+after(stopApp);
+
+describe('registration codes', () => {
+    it('lock the code after too many wrong guesses, even for the right one', async () => {
+        const phone = '9000000031';
+        assert.equal((await sendCode(phone)).status, 200);
+        const code = await receivedCode(phone);
+
+        for (let attempt = 1; attempt <= OTP_MAX_ATTEMPTS; attempt++) {
+            const res = await verifyCode(phone, wrongCode(code));
+            assert.equal(res.status, 400);
+        }
+
+        const res = await verifyCode(phone, code);
+        assert.equal(res.status, 400);
+        assert.equal(res.body.verificationToken, undefined);
+    });
+
+    it('refuse another code while the resend cooldown runs', async () => {
+        const phone = '9000000032';
+        assert.equal((await sendCode(phone)).status, 200);
+
+        const res = await sendCode(phone);
+        assert.equal(res.status, 429);
+        assert.ok(res.body.resendAfterSeconds > 0);
+    });
+
+    it('refuse an expired code', async () => {
+        const phone = '9000000032';
+        const code = await receivedCode(phone);
+        await OtpChallenge.updateOne({ phone }, { expiresAt: new Date(Date.now() - 1000) });
+
+        const res = await verifyCode(phone, code);
+        assert.equal(res.status, 400);
+        assert.equal(res.body.verificationToken, undefined);
+    });
+});
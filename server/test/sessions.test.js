@@ -0,0 +1,108 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import RefreshToken from '../models/RefreshToken.js';
+import { hashToken } from '../utils/tokens.js';
+import { startApp, stopApp, createEmployee, createAdmin } from './helpers.js';
+
+// Refresh tokens rotate on every use (utils/sessions.js): a rotated token coming back after the
+// grace period means it was copied, and ends that whole sign-in; losing access ends every session
+
+let app;
+let adminToken;
+
+const login = async (employeeNumber) => {
+    const res = await request(app).post('/api/auth/login').send({ email: employeeNumber, password: 'password123' });
+    assert.equal(res.status, 200);
+    return res.body;
+};
+
+const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+
+before(async () => {
+    ({ app } = await startApp());
+    adminToken = (await createAdmin('sessions-admin')).generateAuthToken();
+});
+
+after(stopApp);
+
+describe('refresh token rotation', () => {
+    let first;
+    let second;
+
+    before(async () => {
+        await createEmployee('Rotating', '9000000021');
+        first = (await login('9000000021')).refreshToken;
+    });
+
+    it('swap a refresh token for a new pair', async () => {
+        const res = await refresh(first);
+
+        assert.equal(res.status, 200);
+        assert.ok(res.body.token);
+        assert.notEqual(res.body.refreshToken, first);
+        second = res.body.refreshToken;
+    });
+
+    it('refuse a rotated token, without ending the session inside the grace period', async () => {
+        // Two tabs refreshing at once: the slower one is turned away, the session carries on
+        assert.equal((await refresh(first)).status, 401);
+
+        const res = await refresh(second);
+        assert.equal(res.status, 200);
+        second = res.body.refreshToken;
+    });
+
+    it('revoke the whole session when a rotated token is replayed later', async () => {
+        // Move the first rotation out of the grace period
+        await RefreshToken.updateOne({ tokenHash: hashToken(first) }, { rotatedAt: new Date(Date.now() - 60 * 1000) });
+
+        assert.equal((await refresh(first)).status, 401);
+        // The latest token, still unused, went down with the rest of its family
+        assert.equal((await refresh(second)).status, 401);
+        assert.ok(await RefreshToken.findOne({ tokenHash: hashToken(second), revokedAt: { $ne: null } }));
+    });
+});
+
+describe('losing access', () => {
+    it('sign an employee out everywhere when their approval is taken away', async () => {
+        const employee = await createEmployee('Unapproved', '9000000022');
+        const { token, refreshToken } = await login('9000000022');
+
+        const res = await request(app)
+            .patch(`/api/admin/users/${employee._id}/approval`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ approvalStatus: 'rejected' });
+        assert.equal(res.status, 200);
+
+        assert.equal((await refresh(refreshToken)).status, 401);
+        const complaints = await request(app).get('/api/complaints').set('Authorization', `Bearer ${token}`);
+        assert.equal(complaints.status, 401);
+    });
+
+    it('sign an admin out when they are deactivated', async () => {
+        const handler = await createAdmin('sessions-handler', 'hr_officer');
+        const handlerToken = handler.generateAuthToken();
+
+        const res = await request(app)
+            .patch(`/api/admin/admins/${handler._id}`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ isActive: false });
+        assert.equal(res.status, 200);
+
+        const me = await request(app).get('/api/admin/me').set('Authorization', `Bearer ${handlerToken}`);
+        assert.equal(me.status, 401);
+    });
+
+    it('end every session on "sign out everywhere"', async () => {
+        await createEmployee('Everywhere', '9000000023');
+        const { token, refreshToken } = await login('9000000023');
+
+        const res = await request(app).post('/api/account/logout-all').set('Authorization', `Bearer ${token}`);
+        assert.equal(res.status, 200);
+
+        assert.equal((await refresh(refreshToken)).status, 401);
+        const complaints = await request(app).get('/api/complaints').set('Authorization', `Bearer ${token}`);
+        assert.equal(complaints.status, 401);
+    });
+});
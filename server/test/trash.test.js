@@ -0,0 +1,98 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { startApp, stopApp, createEmployee, createAdmin, createComplaint } from './helpers.js';
+
+// Deleting moves employees and complaints to the Trash (utils/trash.js): they can be restored until the
+// retention period is up, then the purge job removes them for good
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let app;
+let User;
+let Complaint;
+let adminToken;
+let purgeTrash;
+let TRASH_RETENTION_DAYS;
+
+const asAdmin = (req) => req.set('Authorization', `Bearer ${adminToken}`);
+
+// Trashed records are hidden from normal queries
+const findAny = (Model, id) => Model.findById(id).setOptions({ withDeleted: true });
+
+before(async () => {
+    ({ app, User, Complaint } = await startApp());
+    ({ purgeTrash, TRASH_RETENTION_DAYS } = await import('../utils/trash.js'));
+    adminToken = (await createAdmin('trash-admin')).generateAuthToken();
+});
+
+after(stopApp);
+
+describe('complaints in the Trash', () => {
+    it('hide a deleted complaint and bring it back on restore', async () => {
+        const owner = await createEmployee('Owner', '9000000061');
+        const complaint = await createComplaint(owner);
+
+        assert.equal((await asAdmin(request(app).delete(`/api/admin/complaints/${complaint._id}`))).status, 200);
+        assert.equal(await Complaint.findById(complaint._id), null);
+
+        const trash = await asAdmin(request(app).get('/api/admin/trash/complaints'));
+        assert.ok(trash.body.complaints.some(c => c._id === String(complaint._id) && c.purgeAt));
+
+        const res = await asAdmin(request(app).post(`/api/admin/trash/complaints/${complaint._id}/restore`));
+        assert.equal(res.status, 200);
+        assert.ok(await Complaint.findById(complaint._id));
+    });
+
+    it('refuse to restore a complaint whose employee is still in the Trash', async () => {
+        const owner = await createEmployee('Trashed owner', '9000000062');
+        const complaint = await createComplaint(owner);
+        await asAdmin(request(app).delete(`/api/admin/users/${owner._id}`));
+
+        const res = await asAdmin(request(app).post(`/api/admin/trash/complaints/${complaint._id}/restore`));
+
+        assert.equal(res.status, 400);
+        assert.equal(await Complaint.findById(complaint._id), null);
+    });
+});
+
+describe('employees in the Trash', () => {
+    it('restore an employee with the complaints deleted along with them, not those deleted before', async () => {
+        const owner = await createEmployee('Returning', '9000000063');
+        const deletedEarlier = await createComplaint(owner, { message: 'Deleted on its own' });
+        const deletedWithOwner = await createComplaint(owner, { message: 'Deleted with the employee' });
+
+        await asAdmin(request(app).delete(`/api/admin/complaints/${deletedEarlier._id}`));
+        assert.equal((await asAdmin(request(app).delete(`/api/admin/users/${owner._id}`))).status, 200);
+        assert.equal(await User.findById(owner._id), null);
+
+        const res = await asAdmin(request(app).post(`/api/admin/trash/users/${owner._id}/restore`));
+
+        assert.equal(res.status, 200);
+        assert.ok(await User.findById(owner._id));
+        assert.ok(await Complaint.findById(deletedWithOwner._id));
+        assert.equal(await Complaint.findById(deletedEarlier._id), null);
+    });
+});
+
+describe('purging', () => {
+    it('remove only what has been in the Trash longer than the retention period', async () => {
+        const owner = await createEmployee('Purged', '9000000064');
+        const complaint = await createComplaint(owner);
+        const recent = await createComplaint(await createEmployee('Kept', '9000000065'));
+
+        await asAdmin(request(app).delete(`/api/admin/users/${owner._id}`));
+        await asAdmin(request(app).delete(`/api/admin/complaints/${recent._id}`));
+
+        // Backdate the employee's deletion past the retention period
+        const expired = new Date(Date.now() - (TRASH_RETENTION_DAYS + 1) * DAY_MS);
+        await User.updateOne({ _id: owner._id }, { deletedAt: expired });
+        await Complaint.updateOne({ _id: complaint._id }, { deletedAt: expired });
+
+        await purgeTrash();
+
+        assert.equal(await findAny(User, owner._id), null);
+        assert.equal(await findAny(Complaint, complaint._id), null);
+        assert.ok(await findAny(Complaint, recent._id));
+    });
+});
@@ -0,0 +1,143 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { startApp, stopApp, createEmployee, createAdmin, createComplaint } from './helpers.js';
+
+// Complaints only move along the workflow's transitions (utils/workflow.js); every move is recorded,
+// and the employee answers a resolution by confirming (closed) or reopening it
+
+let app;
+let Complaint;
+let owner;
+let ownerToken;
+let adminToken;
+
+const setStatus = (complaint, status, note) => request(app)
+    .patch(`/api/admin/complaints/${complaint._id}/status`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ status, note });
+
+before(async () => {
+    ({ app, Complaint } = await startApp());
+
+    owner = await createEmployee('Owner', '9000000011');
+    ownerToken = owner.generateAuthToken();
+    adminToken = (await createAdmin('workflow-admin')).generateAuthToken();
+});
+
+after(stopApp);
+
+describe('admin status changes', () => {
+    it('refuse an unknown status', async () => {
+        const complaint = await createComplaint(owner);
+        const res = await setStatus(complaint, 'archived');
+
+        assert.equal(res.status, 400);
+    });
+
+    it('refuse a move the workflow does not allow', async () => {
+        const complaint = await createComplaint(owner);
+        const res = await setStatus(complaint, 'resolved');
+
+        assert.equal(res.status, 400);
+        const stored = await Complaint.findById(complaint._id);
+        assert.equal(stored.status, 'pending');
+        assert.equal(stored.statusHistory.length, 0);
+    });
+
+    it('record each allowed move with who made it', async () => {
+        const complaint = await createComplaint(owner);
+
+        for (const status of ['received', 'in_progress', 'resolved']) {
+            const res = await setStatus(complaint, status, `Now ${status}`);
+            assert.equal(res.status, 200);
+        }
+
+        const stored = await Complaint.findById(complaint._id);
+        assert.deepEqual(
+            stored.statusHistory.map(({ from, to }) => [from, to]),
+            [['pending', 'received'], ['received', 'in_progress'], ['in_progress', 'resolved']]
+        );
+        assert.ok(stored.statusHistory.every(change => change.changedByType === 'admin'));
+        assert.equal(stored.statusHistory.at(-1).note, 'Now resolved');
+        assert.ok(stored.sla.firstRespondedAt);
+        assert.ok(stored.sla.resolvedAt);
+        assert.ok(stored.confirmationDue > new Date());
+    });
+
+    it('never move a withdrawn complaint', async () => {
+        const complaint = await createComplaint(owner, { status: 'withdrawn' });
+        const res = await setStatus(complaint, 'in_progress');
+
+        assert.equal(res.status, 400);
+        assert.equal((await Complaint.findById(complaint._id)).status, 'withdrawn');
+    });
+
+    it('stop the SLA clock while waiting on the employee', async () => {
+        const complaint = await createComplaint(owner, { status: 'received' });
+        const dueBefore = complaint.sla.resolutionDue;
+
+        await setStatus(complaint, 'awaiting_employee');
+        const paused = await Complaint.findById(complaint._id);
+        assert.ok(paused.sla.pausedAt);
+
+        // Pretend the complaint waited an hour on the employee
+        await Complaint.updateOne({ _id: complaint._id }, { 'sla.pausedAt': new Date(Date.now() - 60 * 60 * 1000) });
+        await setStatus(complaint, 'in_progress');
+
+        const resumed = await Complaint.findById(complaint._id);
+        assert.equal(resumed.sla.pausedAt, null);
+        assert.ok(resumed.sla.resolutionDue - dueBefore >= 60 * 60 * 1000);
+    });
+});
+
+describe('employee answers to a resolution', () => {
+    const answer = (complaint, body) => request(app)
+        .post(`/api/complaints/${complaint._id}/resolution`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send(body);
+
+    it('close the complaint when the employee confirms', async () => {
+        const complaint = await createComplaint(owner, { status: 'in_progress' });
+        await setStatus(complaint, 'resolved');
+
+        const res = await answer(complaint, { action: 'confirm' });
+
+        assert.equal(res.status, 200);
+        const stored = await Complaint.findById(complaint._id);
+        assert.equal(stored.status, 'closed');
+        assert.equal(stored.statusHistory.at(-1).changedByType, 'employee');
+    });
+
+    it('hand the complaint back when the employee reopens it', async () => {
+        const complaint = await createComplaint(owner, { status: 'in_progress' });
+        await setStatus(complaint, 'resolved');
+
+        const res = await answer(complaint, { action: 'reopen', reason: 'Still not credited' });
+
+        assert.equal(res.status, 200);
+        const stored = await Complaint.findById(complaint._id);
+        assert.equal(stored.status, 'reopened');
+        assert.equal(stored.sla.resolvedAt, null);
+    });
+
+    it('refuse an answer while the complaint is not resolved', async () => {
+        const complaint = await createComplaint(owner, { status: 'in_progress' });
+        const res = await answer(complaint, { action: 'confirm' });
+
+        assert.equal(res.status, 400);
+        assert.equal((await Complaint.findById(complaint._id)).status, 'in_progress');
+    });
+
+    it('refuse a rating for a complaint closed without a resolution', async () => {
+        const complaint = await createComplaint(owner);
+        await setStatus(complaint, 'closed');
+
+        const res = await request(app)
+            .post(`/api/complaints/${complaint._id}/rating`)
+            .set('Authorization', `Bearer ${ownerToken}`)
+            .send({ score: 5 });
+
+        assert.equal(res.status, 400);
+    });
+});
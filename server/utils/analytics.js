@@ -0,0 +1,221 @@
+import Complaint from '../models/Complaint.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 730;
+const TIMEZONE = process.env.ANALYTICS_TIMEZONE || 'UTC';
+
+// Bucket size that keeps the trend chart readable for the selected range
+const pickInterval = (from, to) => {
+    const days = (to - from) / DAY_MS;
+    if (days <= 62) return 'day';
+    if (days <= 366) return 'week';
+    return 'month';
+};
+
+// Validate ?from=&to=&interval= (defaults to the last 30 days); returns { error } or the range
+export function parseAnalyticsRange(query) {
+    const to = query.to ? new Date(query.to) : new Date();
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - 30 * DAY_MS);
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+        return { error: 'Invalid date range' };
+    }
+    // A bare date for "to" means the whole of that day
+    if (query.to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) to.setUTCHours(23, 59, 59, 999);
+
+    if (from > to) return { error: '"from" must be before "to"' };
+    if (to - from > MAX_RANGE_DAYS * DAY_MS) return { error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` };
+
+    const interval = ['day', 'week', 'month'].includes(query.interval) ? query.interval : pickInterval(from, to);
+    return { from, to, interval };
+}
+
+const median = (values) => {
+    if (values.length === 0) return null;
+    const mid = Math.floor(values.length / 2);
+    return values.length % 2 ? values[mid] : (values[mid - 1] + values[mid]) / 2;
+};
+
+const toHours = (ms) => (ms === null ? null : Math.round((ms / HOUR_MS) * 10) / 10);
+
+const rate = ({ met = 0, total = 0 } = {}) => ({ met, total, rate: total ? Math.round((met / total) * 1000) / 10 : null });
+
+// Count per value of a field, largest first
+const breakdown = (field) => [
+    { $group: { _id: { $ifNull: [`$${field}`, 'Unknown'] }, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $project: { _id: 0, key: '$_id', count: 1 } }
+];
+
+// Durations (ms from submission) for a timestamp, sorted so the median can be read off directly
+const durations = (field) => [
+    { $match: { [field]: { $ne: null } } },
+    { $project: { ms: { $subtract: [`$${field}`, '$createdAt'] } } },
+    { $sort: { ms: 1 } },
+    { $group: { _id: null, values: { $push: '$ms' } } }
+];
+
+// Met vs. measurable for an SLA target: measurable once it was met or its due date has passed
+// ($gt null is used as "is set" - it is false for both null and missing fields)
+const slaCompliance = (doneField, dueField, now, exclude = {}) => [
+    { $match: { [dueField]: { $ne: null }, ...exclude } },
+    {
+        $project: {
+            measurable: { $or: [{ $gt: [`$${doneField}`, null] }, { $lte: [`$${dueField}`, now] }] },
+            met: {
+                $and: [
+                    { $gt: [`$${doneField}`, null] },
+                    { $lte: [`$${doneField}`, `$${dueField}`] }
+                ]
+            }
+        }
+    },
+    { $match: { measurable: true } },
+    { $group: { _id: null, total: { $sum: 1 }, met: { $sum: { $cond: ['$met', 1, 0] } } } }
+];
+
+// A complaint counts as resolved only once it went through "resolved" - HR closing it without a resolution
+// is not one (older complaints have sla.resolvedAt set on such a close, so the history is checked too)
+const withResolvedAt = {
+    $addFields: {
+        resolvedAt: { $cond: [{ $in: ['resolved', { $ifNull: ['$statusHistory.to', []] }] }, '$sla.resolvedAt', null] }
+    }
+};
+
+// Closed without a resolution: neither resolved nor still open, and left out of the resolution SLA
+const CLOSED_UNRESOLVED = { status: 'closed', resolvedAt: null };
+
+const bucket = (field, interval) => ({
+    $dateTrunc: { date: `$${field}`, unit: interval, timezone: TIMEZONE, ...(interval === 'week' ? { startOfWeek: 'monday' } : {}) }
+});
+
+// Complaint analytics for complaints submitted in [from, to], limited by the admin's scope filter
+export async function buildAnalytics({ from, to, interval, scope = {} }) {
+    const now = new Date();
+    const inRange = { $and: [{ createdAt: { $gte: from, $lte: to } }, scope] };
+
+    const [facets] = await Complaint.aggregate([
+        { $match: inRange },
+        withResolvedAt,
+        {
+            $facet: {
+                totals: [
+                    {
+                        $group: {
+                            _id: null,
+                            complaints: { $sum: 1 },
+                            resolved: { $sum: { $cond: [{ $gt: ['$resolvedAt', null] }, 1, 0] } },
+                            closedUnresolved: {
+                                $sum: { $cond: [{ $and: [{ $eq: ['$status', 'closed'] }, { $not: [{ $gt: ['$resolvedAt', null] }] }] }, 1, 0] }
+                            },
+                            withdrawn: { $sum: { $cond: [{ $eq: ['$status', 'withdrawn'] }, 1, 0] } }
+                        }
+                    }
+                ],
+                created: [
+                    { $group: { _id: bucket('createdAt', interval), count: { $sum: 1 } } }
+                ],
+                category: breakdown('category'),
+                department: breakdown('department'),
+                workLocation: breakdown('workLocation'),
+                priority: breakdown('priority'),
+                status: breakdown('status'),
+                firstResponse: durations('sla.firstRespondedAt'),
+                resolution: durations('resolvedAt'),
+                firstResponseSla: slaCompliance('sla.firstRespondedAt', 'sla.firstResponseDue', now),
+                resolutionSla: slaCompliance('resolvedAt', 'sla.resolutionDue', now, { $nor: [CLOSED_UNRESOLVED] })
+            }
+        }
+    ]);
+
+    // Resolutions are charted by when they happened, whenever the complaint was filed
+    const resolved = await Complaint.aggregate([
+        { $match: { $and: [{ 'sla.resolvedAt': { $gte: from, $lte: to } }, scope] } },
+        withResolvedAt,
+        { $match: { resolvedAt: { $ne: null } } },
+        { $group: { _id: bucket('resolvedAt', interval), count: { $sum: 1 } } }
+    ]);
+
+    const series = new Map();
+    const point = (date) => {
+        const key = date.toISOString();
+        if (!series.has(key)) series.set(key, { date: key, created: 0, resolved: 0 });
+        return series.get(key);
+    };
+    facets.created.forEach(b => { point(b._id).created = b.count; });
+    resolved.forEach(b => { point(b._id).resolved = b.count; });
+
+    const totals = facets.totals[0] || { complaints: 0, resolved: 0, closedUnresolved: 0, withdrawn: 0 };
+
+    return {
+        range: { from, to, interval, timezone: TIMEZONE },
+        totals: {
+            complaints: totals.complaints,
+            resolved: totals.resolved,
+            closedUnresolved: totals.closedUnresolved,
+            withdrawn: totals.withdrawn,
+            open: totals.complaints - totals.resolved - totals.closedUnresolved - totals.withdrawn
+        },
+        overTime: [...series.values()].sort((a, b) => a.date.localeCompare(b.date)),
+        breakdowns: {
+            category: facets.category,
+            department: facets.department,
+            workLocation: facets.workLocation,
+            priority: facets.priority,
+            status: facets.status
+        },
+        responseTimes: {
+            medianFirstResponseHours: toHours(median(facets.firstResponse[0]?.values || [])),
+            medianResolutionHours: toHours(median(facets.resolution[0]?.values || [])),
+            respondedCount: facets.firstResponse[0]?.values.length || 0,
+            resolvedCount: facets.resolution[0]?.values.length || 0
+        },
+        sla: {
+            firstResponse: rate(facets.firstResponseSla[0]),
+            resolution: rate(facets.resolutionSla[0])
+        }
+    };
+}
+
+const round = (value) => (value === null || value === undefined ? null : Math.round(value * 100) / 100);
+
+// Count and average score per value of a rated complaint's field, best rated first
+// `label` names the group when the field is an id (handlers are grouped by id, shown by name)
+const ratingGroups = (field, label = field) => [
+    { $group: { _id: `$${field}`, key: { $last: `$${label}` }, count: { $sum: 1 }, average: { $avg: '$rating.score' } } },
+    { $sort: { average: -1, count: -1, key: 1 } },
+    { $project: { _id: 0, key: 1, count: 1, average: 1 } }
+];
+
+// Satisfaction ratings given in [from, to] within the admin's scope
+export async function buildRatingReport({ from, to, scope = {} }) {
+    const [facets] = await Complaint.aggregate([
+        { $match: { $and: [{ 'rating.ratedAt': { $gte: from, $lte: to } }, scope] } },
+        {
+            $facet: {
+                overall: [{ $group: { _id: null, count: { $sum: 1 }, average: { $avg: '$rating.score' } } }],
+                scores: [{ $group: { _id: '$rating.score', count: { $sum: 1 } } }],
+                handler: ratingGroups('rating.handler', 'rating.handlerName'),
+                category: ratingGroups('category'),
+                department: ratingGroups('department')
+            }
+        }
+    ]);
+
+    const overall = facets.overall[0] || { count: 0, average: null };
+    const tidy = (rows, fallback) => rows.map(row => ({ key: row.key || fallback, count: row.count, average: round(row.average) }));
+
+    return {
+        range: { from, to },
+        overall: {
+            count: overall.count,
+            average: round(overall.average),
+            // How many ratings gave each score, 5 down to 1
+            distribution: [5, 4, 3, 2, 1].map(score => ({ score, count: facets.scores.find(s => s._id === score)?.count || 0 }))
+        },
+        byHandler: tidy(facets.handler, 'Unassigned'),
+        byCategory: tidy(facets.category, 'Unknown'),
+        byDepartment: tidy(facets.department, 'Unknown')
+    };
+}
@@ -0,0 +1,6 @@
+// How much of an anonymous reporter's identity is kept:
+//   restricted (default) - stored in a hidden field only super-admins can read
+//   none                 - never stored; the complaint cannot be traced back at all
+export const ANONYMOUS_IDENTITY_MODE = process.env.ANONYMOUS_IDENTITY_MODE === 'none' ? 'none' : 'restricted';
+
+export const ANONYMOUS_NAME = 'Anonymous';
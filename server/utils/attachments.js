@@ -0,0 +1,67 @@
+import crypto from 'crypto';
+import path from 'path';
+import { getStorage } from './storage/index.js';
+
+const EXTENSIONS = {
+    'application/pdf': '.pdf',
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp'
+};
+
+// Save uploaded multer files and record them on the complaint (caller saves the complaint)
+// Returns the storage keys written so they can be cleaned up if the save fails
+export const storeAttachments = async (complaint, files = [], { uploadedBy, uploadedByType }) => {
+    const storage = getStorage();
+    const keys = [];
+
+    try {
+        for (const file of files) {
+            const key = `complaints/${complaint._id}/${crypto.randomUUID()}${EXTENSIONS[file.mimetype] || ''}`;
+            await storage.save({ key, buffer: file.buffer, contentType: file.mimetype });
+            keys.push(key);
+
+            complaint.attachments.push({
+                key,
+                originalName: path.basename(file.originalname).slice(0, 255),
+                mimeType: file.mimetype,
+                size: file.size,
+                uploadedBy,
+                uploadedByType
+            });
+        }
+    } catch (error) {
+        await removeStoredFiles(keys);
+        throw error;
+    }
+
+    return keys;
+};
+
+// Best-effort removal - a missing file should never block deleting its complaint
+export const removeStoredFiles = async (keys = []) => {
+    const storage = getStorage();
+    await Promise.all(keys.map(key =>
+        storage.remove(key).catch(error => console.error('Attachment cleanup error:', error))
+    ));
+};
+
+// Keys of every attachment on the given complaints
+export const attachmentKeys = (complaints) =>
+    complaints.flatMap(complaint => (complaint.attachments || []).map(attachment => attachment.key));
+
+// Stream a stored attachment back to the client as a download
+export const sendAttachment = async (res, attachment) => {
+    const stream = await getStorage().read(attachment.key);
+
+    res.setHeader('Content-Type', attachment.mimeType);
+    res.setHeader('Content-Length', attachment.size);
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(attachment.originalName)}`);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+
+    stream.on('error', (error) => {
+        console.error('Attachment stream error:', error);
+        res.destroy(error);
+    });
+    stream.pipe(res);
+};
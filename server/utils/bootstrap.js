@@ -0,0 +1,49 @@
+import User from '../models/User.js';
+
+// One-off migration: employeeNumber had a plain unique index before admins moved into User, which
+// rejects a second account without a phone number. Swap it for the sparse index the schema declares
+// and leave every other index alone
+async function migrateEmployeeNumberIndex() {
+    let indexes;
+    try {
+        indexes = await User.collection.indexes();
+    } catch (error) {
+        if (error.codeName === 'NamespaceNotFound') return; // fresh database
+        throw error;
+    }
+
+    const legacy = indexes.find(index => index.key.employeeNumber === 1 && !index.sparse);
+    if (!legacy) return;
+
+    await User.collection.dropIndex(legacy.name);
+    await User.createIndexes();
+    console.log('✅ Made the employeeNumber index sparse');
+}
+
+// Seed the first super-admin from ADMIN_USERNAME/ADMIN_PASSWORD when none exists yet
+export async function seedSuperAdmin() {
+    await migrateEmployeeNumberIndex();
+
+    const existing = await User.exists({ role: 'admin', adminRole: 'super_admin' });
+    if (existing) return;
+
+    const username = process.env.ADMIN_USERNAME;
+    const password = process.env.ADMIN_PASSWORD;
+
+    if (!username || !password) {
+        console.warn('⚠️  No super-admin account exists. Set ADMIN_USERNAME and ADMIN_PASSWORD to create one.');
+        return;
+    }
+
+    await User.create({
+        name: 'Super Admin',
+        username,
+        email: process.env.ADMIN_EMAIL || `${username.toLowerCase()}@complaintbox.local`,
+        password,
+        role: 'admin',
+        adminRole: 'super_admin',
+        approvalStatus: 'approved'
+    });
+
+    console.log(`✅ Super-admin account "${username}" created from environment`);
+}
@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+
+// Batch admin actions (approve users, change status, assign, delete) applied all-or-nothing
+// Transactions need a replica set - MongoDB Atlas always is one; for a local mongod start it with --replSet
+// (a single-node set is enough: mongod --replSet rs0, then rs.initiate() once in mongosh)
+
+export const MAX_BULK_ITEMS = 200;
+
+// A reason one item can't be processed; rolls the batch back instead of failing the request
+export class BulkItemError extends Error {}
+
+class Rollback extends Error {}
+
+// Validate the `ids` body field; returns { ids } (de-duplicated) or { error }
+export const parseBulkIds = (ids) => {
+    if (!Array.isArray(ids) || ids.length === 0) return { error: 'Select at least one item' };
+    if (ids.length > MAX_BULK_ITEMS) return { error: `Select at most ${MAX_BULK_ITEMS} items at a time` };
+    if (!ids.every(id => mongoose.isValidObjectId(id))) return { error: 'Invalid selection' };
+    return { ids: [...new Set(ids.map(String))] };
+};
+
+/**
+ * Run `apply(id, session)` for every id inside one transaction
+ * apply throws BulkItemError to reject an item, and may return { label, afterCommit }:
+ * afterCommit runs once everything is saved (notifications, live updates, file cleanup)
+ * If any item is rejected nothing is saved and `applied` is false
+ * Returns { applied, results: [{ id, success, label, message }], summary: { total, succeeded, failed } }
+ * (`success` on a result says whether that item was valid; `failed` counts the rejected ones)
+ */
+export async function runBulk(ids, apply) {
+    const session = await mongoose.startSession();
+    let outcomes = [];
+
+    try {
+        await session.withTransaction(async () => {
+            // withTransaction may retry the callback on transient errors, so start from scratch each time
+            outcomes = [];
+            for (const id of ids) {
+                try {
+                    const outcome = await apply(id, session);
+                    outcomes.push({ id, success: true, label: outcome?.label || '', afterCommit: outcome?.afterCommit });
+                } catch (error) {
+                    if (!(error instanceof BulkItemError)) throw error;
+                    outcomes.push({ id, success: false, label: error.label || '', message: error.message });
+                }
+            }
+            if (outcomes.some(o => !o.success)) throw new Rollback();
+        });
+    } catch (error) {
+        // IllegalOperation: a standalone mongod refuses transactions
+        if (error.code === 20) {
+            throw new Error('Bulk actions need MongoDB running as a replica set', { cause: error });
+        }
+        if (!(error instanceof Rollback)) throw error;
+    } finally {
+        await session.endSession();
+    }
+
+    const applied = outcomes.every(o => o.success);
+    // Everything is saved by now: a failing follow-up (notification, live update...) is logged and the rest still run
+    if (applied) {
+        for (const outcome of outcomes) {
+            if (!outcome.afterCommit) continue;
+            try {
+                await outcome.afterCommit();
+            } catch (error) {
+                console.error(`Bulk follow-up failed for ${outcome.label || outcome.id}:`, error);
+            }
+        }
+    }
+
+    const results = outcomes.map(({ id, success, label, message }) => ({
+        id,
+        success,
+        label,
+        // Items that were fine still weren't saved when another one failed
+        message: message || (applied ? 'Done' : 'Not changed - another item failed')
+    }));
+    const failed = outcomes.filter(o => !o.success).length;
+
+    return { applied, results, summary: { total: outcomes.length, succeeded: applied ? outcomes.length : 0, failed } };
+}
+
+// Reject an item, keeping a readable label (reference number, name) for the result list
+export const rejectItem = (message, label = '') => {
+    const error = new BulkItemError(message);
+    error.label = label;
+    throw error;
+};
+
+// Shape the HTTP response for a batch: 200 when applied, 409 with per-item reasons when rolled back
+export const sendBulkResult = (res, result, noun, verb = 'updated') => {
+    if (result.applied) {
+        return res.json({ success: true, message: `${result.summary.succeeded} ${noun} ${verb}`, ...result });
+    }
+    res.status(409).json({
+        success: false,
+        message: `${result.summary.failed} of ${result.summary.total} ${noun} could not be processed - nothing was changed`,
+        ...result
+    });
+};
@@ -0,0 +1,7 @@
+// Misspelled and duplicate categories from the old form, merged into the canonical spelling
+// Kept apart from masterData.js so settings loaded with the models (SLA_POLICY) can map old names too
+export const CATEGORY_MERGES = {
+    Attendence: 'Attendance',
+    'Sallary Advance': 'Salary Advance',
+    'Pay Roll': 'Payroll'
+};
@@ -0,0 +1,91 @@
+import { findActiveOption } from './masterData.js';
+import { validateComplaintDetails } from './complaintFields.js';
+
+// Employee actions on their own complaint: corrections while HR hasn't picked it up yet
+// (wrong category, typo, missing amount...), withdrawing it, and feedback on the resolution
+
+const PRIORITIES = ['low', 'medium', 'high'];
+const MAX_REASON_LENGTH = 500;
+const MAX_COMMENT_LENGTH = 1000;
+
+const RESOLUTION_ACTIONS = ['confirm', 'reopen'];
+
+/**
+ * Check an edit request against the complaint's current values
+ * Only the fields present in `input` are changed; details are re-checked against the (new) category's fields
+ * whenever the category or the details change
+ * Returns { changes: { field: value } } or { error }
+ */
+export async function prepareComplaintEdit(complaint, input = {}) {
+    if (!complaint.isEditable()) {
+        return { error: 'Only complaints that are still pending can be edited' };
+    }
+
+    const changes = {};
+
+    const category = input.category !== undefined ? input.category : complaint.category;
+    const categoryChanged = category !== complaint.category;
+
+    if (input.priority !== undefined) {
+        if (!PRIORITIES.includes(input.priority)) return { error: 'Invalid priority' };
+        changes.priority = input.priority;
+    }
+
+    if (input.message !== undefined) {
+        const message = typeof input.message === 'string' ? input.message.trim() : '';
+        if (!message) return { error: 'Message cannot be empty' };
+        changes.message = message;
+    }
+
+    if (categoryChanged || input.details !== undefined) {
+        const categoryOption = await findActiveOption('category', category);
+        if (!categoryOption) return { error: 'Please choose a valid category' };
+        if (categoryChanged) changes.category = categoryOption.value;
+
+        // Without new details, keep what was entered for any field the new category shares
+        const values = input.details !== undefined
+            ? input.details
+            : Object.fromEntries(complaint.details.map(d => [d.key, d.value]));
+        const { details, error } = validateComplaintDetails(categoryOption.fields, values);
+        if (error) return { error };
+        changes.details = details;
+    }
+
+    return { changes };
+}
+
+// Trimmed reason for withdrawing or reopening, or { error }
+export const parseReason = (input, action) => {
+    const reason = typeof input === 'string' ? input.trim() : '';
+    if (!reason) return { error: `Please give a reason for ${action}` };
+    if (reason.length > MAX_REASON_LENGTH) return { error: `Reason must be ${MAX_REASON_LENGTH} characters or less` };
+    return { reason };
+};
+
+/**
+ * Apply the employee's answer to a resolved complaint: { action: 'confirm' } or { action: 'reopen', reason }
+ * Changes the complaint (the caller saves it) and returns { action, reason }, or { error }
+ */
+export function answerResolution(complaint, { action, reason: reasonInput } = {}, { by, byName }) {
+    if (!RESOLUTION_ACTIONS.includes(action)) return { error: 'Invalid action' };
+
+    if (action === 'confirm') {
+        if (!complaint.confirmResolution({ by, byName })) return { error: 'This complaint is not waiting for your confirmation' };
+        return { action };
+    }
+
+    const { reason, error } = parseReason(reasonInput, 'reopening');
+    if (error) return { error };
+    if (!complaint.reopenByEmployee({ by, byName, reason })) return { error: 'This complaint can no longer be reopened' };
+    return { action, reason };
+}
+
+// A whole-number score from 1 to 5 and an optional comment; returns { score, comment } or { error }
+export const parseRating = ({ score, comment } = {}) => {
+    const value = Number(score);
+    if (!Number.isInteger(value) || value < 1 || value > 5) return { error: 'Rating must be between 1 and 5' };
+
+    const text = typeof comment === 'string' ? comment.trim() : '';
+    if (text.length > MAX_COMMENT_LENGTH) return { error: `Comment must be ${MAX_COMMENT_LENGTH} characters or less` };
+    return { score: value, comment: text };
+};
@@ -0,0 +1,91 @@
+// Extra per-category complaint fields (e.g. amount and month for a salary advance, UAN for PF)
+// Admins define them on the category option; employees fill them in next to the free-text message
+
+export const FIELD_TYPES = ['text', 'number', 'date', 'select'];
+
+const MAX_FIELDS = 10;
+const MAX_TEXT_LENGTH = 500;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// "Amount requested (₹)" -> "amount_requested"
+const keyFromLabel = (label) => label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 40);
+
+/**
+ * Check and tidy the field definitions an admin submitted for a category
+ * Existing fields keep their key when relabelled, so values already stored still line up
+ * Returns { fields } or { error }
+ */
+export function normalizeFieldDefinitions(input) {
+    if (!Array.isArray(input)) return { error: 'Fields must be a list' };
+    if (input.length > MAX_FIELDS) return { error: `A category can have at most ${MAX_FIELDS} fields` };
+
+    const fields = [];
+    for (const raw of input) {
+        const label = String(raw?.label || '').trim();
+        if (!label) return { error: 'Every field needs a label' };
+
+        const key = raw.key ? String(raw.key) : keyFromLabel(label);
+        if (!key) return { error: `"${label}" needs a label with letters or numbers` };
+        if (fields.some(f => f.key === key)) return { error: `Two fields are called "${label}"` };
+
+        if (!FIELD_TYPES.includes(raw.type)) return { error: `"${label}" has an unknown type` };
+
+        const options = raw.type === 'select'
+            ? [...new Set((Array.isArray(raw.options) ? raw.options : []).map(o => String(o).trim()).filter(Boolean))]
+            : [];
+        if (raw.type === 'select' && options.length === 0) return { error: `"${label}" needs at least one choice` };
+
+        fields.push({ key, label, type: raw.type, required: Boolean(raw.required), options });
+    }
+    return { fields };
+}
+
+// A real calendar date in YYYY-MM-DD form (kept as text so it never shifts with time zones)
+const isValidDate = (text) => DATE_PATTERN.test(text) && new Date(`${text}T00:00:00Z`).toISOString().startsWith(text);
+
+/**
+ * Validate what an employee entered for a category's fields
+ * `input` is an object keyed by field key (multipart forms send it as a JSON string)
+ * Returns { details: [{ key, label, type, value }] } - labels are copied so old complaints read the same
+ * after a field is renamed or removed - or { error }
+ */
+export function validateComplaintDetails(definitions = [], input) {
+    let values = input || {};
+    if (typeof values === 'string') {
+        try {
+            values = JSON.parse(values);
+        } catch {
+            return { error: 'Invalid complaint details' };
+        }
+    }
+    if (typeof values !== 'object' || Array.isArray(values)) return { error: 'Invalid complaint details' };
+
+    const details = [];
+    for (const field of definitions) {
+        const raw = values[field.key];
+        const text = raw === undefined || raw === null ? '' : String(raw).trim();
+
+        if (!text) {
+            if (field.required) return { error: `${field.label} is required` };
+            continue;
+        }
+
+        let value = text;
+        if (field.type === 'number') {
+            value = Number(text);
+            if (!Number.isFinite(value)) return { error: `${field.label} must be a number` };
+        } else if (field.type === 'date') {
+            if (!isValidDate(text)) return { error: `${field.label} must be a valid date` };
+        } else if (field.type === 'select') {
+            if (!field.options.includes(text)) return { error: `Please choose a valid ${field.label}` };
+        } else if (text.length > MAX_TEXT_LENGTH) {
+            return { error: `${field.label} must be ${MAX_TEXT_LENGTH} characters or fewer` };
+        }
+
+        details.push({ key: field.key, label: field.label, type: field.type, value });
+    }
+    return { details };
+}
+
+// "Amount: 5000; Month: March" - for exports and notifications
+export const formatDetails = (details = []) => details.map(d => `${d.label}: ${d.value}`).join('; ');
@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+import { SLA_CLOCK_STATUSES } from './workflow.js';
+
+// Helpers that turn admin list query-string params into MongoDB filter/sort/paging
+
+const SORTABLE_FIELDS = [
+    'createdAt', 'updatedAt', 'status', 'priority', 'category', 'department', 'employeeName', 'assignedToName',
+    'sla.resolutionDue'
+];
+const MAX_LIMIT = 100;
+
+// Only accept plain strings from the query string (ignores arrays/objects)
+const str = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// Open complaints past their first-response or resolution due date (not while the SLA clock is paused)
+export const overdueFilter = (now = new Date()) => ({
+    status: { $in: SLA_CLOCK_STATUSES },
+    $or: [
+        { 'sla.resolutionDue': { $lte: now } },
+        { 'sla.firstRespondedAt': null, 'sla.firstResponseDue': { $lte: now } }
+    ]
+});
+
+// Build a Complaint filter from ?status=&priority=&category=&department=&assignedTo=&overdue=&from=&to=&search=
+// `assignedTo` accepts a handler id, 'me' (needs adminId) or 'unassigned'
+export const buildComplaintFilter = (query = {}, { adminId } = {}) => {
+    const filter = {};
+
+    ['status', 'priority', 'category', 'department'].forEach(field => {
+        const value = str(query[field]);
+        if (value && value !== 'All') filter[field] = value;
+    });
+
+    const assignedTo = str(query.assignedTo);
+    if (assignedTo === 'unassigned') {
+        filter.assignedTo = null;
+    } else if (assignedTo === 'me' && adminId) {
+        filter.assignedTo = adminId;
+    } else if (mongoose.isValidObjectId(assignedTo)) {
+        filter.assignedTo = assignedTo;
+    }
+
+    const from = str(query.from);
+    const to = str(query.to);
+    if (from || to) {
+        filter.createdAt = {};
+        if (from && !isNaN(Date.parse(from))) filter.createdAt.$gte = new Date(from);
+        if (to && !isNaN(Date.parse(to))) {
+            // Date-only "to" values include the whole day
+            const end = new Date(to);
+            if (/^\d{4}-\d{2}-\d{2}$/.test(to)) end.setUTCHours(23, 59, 59, 999);
+            filter.createdAt.$lte = end;
+        }
+        if (Object.keys(filter.createdAt).length === 0) delete filter.createdAt;
+    }
+
+    // Nested under $and so it can't clash with the $or added by complaintScope
+    if (str(query.overdue) === 'true') {
+        filter.$and = [overdueFilter()];
+    }
+
+    // Free-text search over message and employeeName (backed by the text index)
+    const search = str(query.search);
+    if (search) filter.$text = { $search: search };
+
+    return filter;
+};
+
+// Parse ?sort=field or ?sort=-field against a whitelist (default newest first)
+export const buildComplaintSort = (query = {}) => {
+    const sort = str(query.sort) || '-createdAt';
+    const direction = sort.startsWith('-') ? -1 : 1;
+    const field = sort.replace(/^[-+]/, '');
+
+    if (!SORTABLE_FIELDS.includes(field)) return { createdAt: -1 };
+
+    // Tie-break on _id so paging is stable
+    return { [field]: direction, _id: direction };
+};
+
+// Parse ?page=&limit= into skip/limit with sane bounds
+export const parsePagination = (query = {}, defaultLimit = 20) => {
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), MAX_LIMIT);
+    return { page, limit, skip: (page - 1) * limit };
+};
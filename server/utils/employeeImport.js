@@ -0,0 +1,215 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import { validateEmployee, loadEmployeeOptions, placeholderEmail } from './employees.js';
+import { createToken } from './tokens.js';
+
+// Bulk onboarding of employees from a CSV file
+// Rows are validated with the registration rules; re-importing the same file never creates duplicates
+// (employees are matched on employeeNumber, their phone number)
+
+export const MAX_IMPORT_ROWS = 2000;
+const SETUP_LINK_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Header spellings we accept (compared lower-cased, spaces/underscores removed)
+const HEADER_FIELDS = {
+    name: 'name',
+    fullname: 'name',
+    employeename: 'name',
+    phone: 'employeeNumber',
+    phonenumber: 'employeeNumber',
+    mobile: 'employeeNumber',
+    employeenumber: 'employeeNumber',
+    email: 'email',
+    department: 'department',
+    dept: 'department',
+    worklocation: 'workLocation',
+    location: 'workLocation',
+    branch: 'workLocation'
+};
+
+const REQUIRED_COLUMNS = ['name', 'employeeNumber', 'department', 'workLocation'];
+
+// Minimal RFC 4180 parser: quoted fields, "" escapes, CRLF or LF line endings
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+};
+
+// Match "airport" / "AIRPORT" to the canonical spelling
+const canonical = (value, options) => options.find(option => option.toLowerCase() === value.toLowerCase()) || value;
+
+// Row counts per action
+const summarize = (rows) => {
+    const summary = { create: 0, resend: 0, exists: 0, error: 0 };
+    rows.forEach(entry => { summary[entry.action] += 1; });
+    return summary;
+};
+
+/**
+ * Read an uploaded CSV into employee rows
+ * Returns { rows: [{ row, name, employeeNumber, email, department, workLocation }] } or { error }
+ */
+export function readImportFile(buffer) {
+    const lines = parseCsv(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+    if (lines.length === 0) return { error: 'The file is empty' };
+
+    const columns = lines[0].map(header => HEADER_FIELDS[header.toLowerCase().replace(/[\s_]/g, '')]);
+    const missing = REQUIRED_COLUMNS.filter(field => !columns.includes(field));
+    if (missing.length > 0) {
+        return { error: `Missing column(s): ${missing.join(', ')}. Expected name, phone, department, work location and optional email` };
+    }
+
+    const rows = [];
+    lines.slice(1).forEach((cells, index) => {
+        if (cells.every(cell => !cell.trim())) return;
+
+        // Line numbers as shown in a spreadsheet (the header is row 1)
+        const entry = { row: index + 2, name: '', employeeNumber: '', email: '', department: '', workLocation: '' };
+        columns.forEach((field, i) => {
+            if (field) entry[field] = (cells[i] || '').trim();
+        });
+        entry.employeeNumber = entry.employeeNumber.replace(/[\s-]/g, '');
+        entry.email = entry.email.toLowerCase();
+        rows.push(entry);
+    });
+
+    if (rows.length === 0) return { error: 'The file has no employee rows' };
+    if (rows.length > MAX_IMPORT_ROWS) return { error: `Import at most ${MAX_IMPORT_ROWS} employees at a time` };
+    return { rows };
+}
+
+/**
+ * Decide what happens to each row without writing anything (the dry-run preview)
+ * action: create  - new pre-approved account
+ *         resend  - imported earlier but the password was never set; a fresh link is issued
+ *         exists  - already has an account, left untouched
+ *         error   - invalid row, see errors
+ */
+export async function planEmployeeImport(rows) {
+    const phones = rows.map(r => r.employeeNumber).filter(Boolean);
+    const emails = rows.map(r => r.email).filter(Boolean);
+
+    const [byPhone, byEmail, options] = await Promise.all([
+        // Trashed accounts still hold their phone number and email until they are purged
+        User.find({ employeeNumber: { $in: phones } }).select('employeeNumber email role passwordSetup.expiresAt deletedAt')
+            .setOptions({ withDeleted: true }),
+        // Case-insensitive: accounts created before emails were stored lowercase may still have capitals
+        User.find({ email: { $in: emails } }).collation({ locale: 'en', strength: 2 })
+            .select('employeeNumber email').setOptions({ withDeleted: true }),
+        loadEmployeeOptions()
+    ]);
+    const existingByPhone = new Map(byPhone.map(u => [u.employeeNumber, u]));
+    const existingByEmail = new Map(byEmail.map(u => [u.email.toLowerCase(), u]));
+
+    const seenPhones = new Set();
+    const seenEmails = new Set();
+
+    const planned = rows.map(row => {
+        const entry = {
+            ...row,
+            department: canonical(row.department, options.departments),
+            workLocation: canonical(row.workLocation, options.workLocations)
+        };
+        const errors = validateEmployee(entry, options);
+        const existing = existingByPhone.get(entry.employeeNumber);
+
+        if (entry.employeeNumber && seenPhones.has(entry.employeeNumber)) errors.push('Phone number repeated in this file');
+        if (entry.email && seenEmails.has(entry.email)) errors.push('Email repeated in this file');
+        seenPhones.add(entry.employeeNumber);
+        seenEmails.add(entry.email);
+
+        if (existing && existing.role !== 'employee') errors.push('Phone number belongs to an admin account');
+        if (existing?.deletedAt) errors.push('Employee is in the Trash - restore them instead');
+
+        const emailOwner = entry.email && existingByEmail.get(entry.email);
+        if (emailOwner && emailOwner.employeeNumber !== entry.employeeNumber) errors.push('Email already used by another account');
+
+        let action = 'create';
+        if (errors.length > 0) action = 'error';
+        else if (existing) action = existing.needsPasswordSetup() ? 'resend' : 'exists';
+
+        return { ...entry, action, errors };
+    });
+
+    return { rows: planned, summary: summarize(planned) };
+}
+
+const newPasswordSetup = () => {
+    const { token, hash } = createToken();
+    return { token, passwordSetup: { tokenHash: hash, expiresAt: new Date(Date.now() + SETUP_LINK_TTL_MS) } };
+};
+
+/**
+ * Apply a plan: create the new accounts and issue set-password links
+ * `linkFor(token)` turns a token into the URL handed to the employee
+ * Returns the plan rows with `link` set on created/resent rows
+ */
+export async function applyEmployeeImport(plan, { linkFor }) {
+    const results = [];
+
+    for (const entry of plan.rows) {
+        if (entry.action === 'create') {
+            const { token, passwordSetup } = newPasswordSetup();
+            try {
+                await User.create({
+                    name: entry.name,
+                    email: entry.email || placeholderEmail(entry.employeeNumber),
+                    // Unusable until the employee sets their own through the link
+                    password: crypto.randomBytes(32).toString('hex'),
+                    employeeNumber: entry.employeeNumber,
+                    department: entry.department,
+                    workLocation: entry.workLocation,
+                    approvalStatus: 'approved',
+                    passwordSetup
+                });
+                results.push({ ...entry, link: linkFor(token) });
+            } catch (error) {
+                // Someone registered the same phone/email between the preview and now
+                if (error.code !== 11000) throw error;
+                results.push({ ...entry, action: 'error', errors: ['Phone number or email was registered meanwhile'] });
+            }
+        } else if (entry.action === 'resend') {
+            const { token, passwordSetup } = newPasswordSetup();
+            await User.updateOne({ employeeNumber: entry.employeeNumber, role: 'employee' }, { passwordSetup });
+            results.push({ ...entry, link: linkFor(token) });
+        } else {
+            results.push(entry);
+        }
+    }
+
+    return { rows: results, summary: summarize(results) };
+}
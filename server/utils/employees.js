@@ -0,0 +1,25 @@
+import { activeValues } from './masterData.js';
+
+// Employee account rules shared by self-registration and the admin CSV import
+
+// Employees log in with their phone number, stored in employeeNumber
+export const PHONE_PATTERN = /^[0-9]{10}$/;
+
+// Employees without an email get a unique placeholder so the unique index holds
+export const placeholderEmail = (employeeNumber) => `${employeeNumber}@complaintbox.local`;
+
+// Active departments and work locations (admin-managed), for validateEmployee
+export const loadEmployeeOptions = async () => ({
+    departments: await activeValues('department'),
+    workLocations: await activeValues('workLocation')
+});
+
+// Problems with an employee's details (empty when valid)
+export const validateEmployee = ({ name, employeeNumber, department, workLocation }, { departments, workLocations }) => {
+    const errors = [];
+    if (!name || !employeeNumber || !department || !workLocation) errors.push('All fields are required');
+    if (employeeNumber && !PHONE_PATTERN.test(employeeNumber)) errors.push('Phone number must be exactly 10 digits');
+    if (department && !departments.includes(department)) errors.push(`Unknown department "${department}"`);
+    if (workLocation && !workLocations.includes(workLocation)) errors.push(`Unknown work location "${workLocation}"`);
+    return errors;
+};
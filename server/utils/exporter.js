@@ -0,0 +1,93 @@
+import ExcelJS from 'exceljs';
+
+// Streams query results to the response as CSV or XLSX, one row at a time,
+// so large exports never have to be held in memory
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Spreadsheet apps run cells starting with these as formulas - prefix them so exported text stays text
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const cellValue = (column, doc) => {
+    const value = column.value(doc);
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date || typeof value === 'number') return value;
+    const text = String(value);
+    return FORMULA_PREFIX.test(text) ? `'${text}` : text;
+};
+
+const csvField = (value) => {
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => `${values.map(csvField).join(',')}\r\n`;
+
+// Respect backpressure so a slow client doesn't make the whole export buffer up
+const writeChunk = (res, chunk) => new Promise(resolve => {
+    if (res.write(chunk)) return resolve();
+    // A client that disconnects never drains, so closing also releases the wait
+    const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+});
+
+/**
+ * Stream a Mongoose cursor to `res`
+ * columns: [{ header, value: (doc) => any, width?, date? }]
+ */
+export async function streamExport(res, { format, filename, sheetName, columns, cursor }) {
+    res.set({
+        'Content-Type': CONTENT_TYPES[format],
+        'Content-Disposition': `attachment; filename="${filename}.${format}"`,
+        'Cache-Control': 'no-store'
+    });
+
+    // Stop reading from MongoDB if the client goes away mid-download
+    let aborted = false;
+    res.on('close', () => {
+        if (!res.writableFinished) aborted = true;
+    });
+
+    try {
+        if (format === 'csv') {
+            // BOM so Excel opens UTF-8 names correctly
+            await writeChunk(res, `\uFEFF${csvLine(columns.map(c => c.header))}`);
+            for await (const doc of cursor) {
+                if (aborted) break;
+                await writeChunk(res, csvLine(columns.map(c => cellValue(c, doc))));
+            }
+            res.end();
+            return;
+        }
+
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+        const sheet = workbook.addWorksheet(sheetName || 'Export', { views: [{ state: 'frozen', ySplit: 1 }] });
+        sheet.columns = columns.map((c, i) => ({
+            header: c.header,
+            key: String(i),
+            width: c.width || 18,
+            style: c.date ? { numFmt: 'yyyy-mm-dd hh:mm' } : {}
+        }));
+        sheet.getRow(1).font = { bold: true };
+        sheet.getRow(1).commit();
+
+        for await (const doc of cursor) {
+            if (aborted) break;
+            sheet.addRow(columns.map(c => cellValue(c, doc))).commit();
+        }
+        sheet.commit();
+        await workbook.commit();
+    } finally {
+        await cursor.close().catch(() => {});
+    }
+}
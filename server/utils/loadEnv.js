@@ -0,0 +1,7 @@
+import dotenv from 'dotenv';
+
+// Imported first by server.js so modules that read process.env at import time see .env values
+// Load environment variables (only in non-production)
+if (process.env.NODE_ENV !== 'production') {
+    dotenv.config();
+}
@@ -0,0 +1,113 @@
+import ConfigOption from '../models/ConfigOption.js';
+import Complaint from '../models/Complaint.js';
+import RoutingRule from '../models/RoutingRule.js';
+import { CATEGORY_MERGES } from './categoryMerges.js';
+
+// Categories, departments and work locations, managed by admins under /api/admin/config
+// Forms offer the active options; complaints and registrations are validated against them
+
+export const CONFIG_TYPES = ['category', 'department', 'workLocation'];
+
+// Keys used when options are grouped for the API
+export const CONFIG_GROUPS = { category: 'categories', department: 'departments', workLocation: 'workLocations' };
+
+// The values that used to be hard-coded in the forms, seeded when a type has no options yet
+// (with starter extra fields for the categories that always needed the same follow-up questions)
+const DEFAULT_OPTIONS = {
+    category: [
+        {
+            value: 'Attendance',
+            fields: [
+                { key: 'from_date', label: 'From date', type: 'date', required: true },
+                { key: 'to_date', label: 'To date', type: 'date', required: false }
+            ]
+        },
+        {
+            value: 'Salary Advance',
+            fields: [
+                { key: 'amount', label: 'Amount (₹)', type: 'number', required: true },
+                { key: 'month', label: 'Month', type: 'text', required: true }
+            ]
+        },
+        'Payroll', 'Full and Final Settlement', 'ESI',
+        { value: 'PF', fields: [{ key: 'uan', label: 'UAN', type: 'text', required: true }] },
+        { value: 'General', label: 'Other' }
+    ],
+    department: ['Sales', 'Service', 'Parts', 'Finance', 'HR', 'Admin'],
+    workLocation: ['Airport', 'OMR', 'Pallavaram']
+};
+
+// Options change rarely but are read on every complaint and registration
+const CACHE_MS = 60 * 1000;
+let cache = null;
+
+const loadOptions = async () => {
+    if (!cache || Date.now() - cache.loadedAt > CACHE_MS) {
+        const options = await ConfigOption.find().sort({ order: 1, label: 1 }).lean();
+        cache = { options, loadedAt: Date.now() };
+    }
+    return cache.options;
+};
+
+// Drop the cache after an admin edits the options
+export const invalidateOptions = () => {
+    cache = null;
+};
+
+// Values of the active options of one type
+export async function activeValues(type) {
+    const options = await loadOptions();
+    return options.filter(o => o.type === type && o.isActive).map(o => o.value);
+}
+
+// The active option with this value (e.g. a category with its extra fields), or null
+export async function findActiveOption(type, value) {
+    const options = await loadOptions();
+    return options.find(o => o.type === type && o.isActive && o.value === value) || null;
+}
+
+/**
+ * Options grouped by type: { categories: [...], departments: [...], workLocations: [...] }
+ * Forms get the active ones as { value, label } (plus `fields` on categories);
+ * admins get every option (filters still need retired values)
+ */
+export async function groupedOptions({ includeInactive = false } = {}) {
+    const options = await loadOptions();
+    const grouped = { categories: [], departments: [], workLocations: [] };
+    options.forEach(option => {
+        if (!includeInactive && !option.isActive) return;
+        if (includeInactive) {
+            grouped[CONFIG_GROUPS[option.type]].push(option);
+        } else {
+            const { value, label, fields } = option;
+            grouped[CONFIG_GROUPS[option.type]].push(option.type === 'category' ? { value, label, fields } : { value, label });
+        }
+    });
+    return grouped;
+}
+
+// Merge the old category spellings into the canonical ones
+const mergeCategories = async () => {
+    for (const [from, to] of Object.entries(CATEGORY_MERGES)) {
+        const { modifiedCount } = await Complaint.updateMany({ category: from }, { $set: { category: to } });
+        if (modifiedCount > 0) console.log(`🔀 Merged ${modifiedCount} "${from}" complaint(s) into "${to}"`);
+
+        await RoutingRule.updateMany({ categories: from }, { $addToSet: { categories: to } });
+        await RoutingRule.updateMany({ categories: from }, { $pull: { categories: from } });
+    }
+};
+
+// Seed the default options when a type has none yet; called at startup
+// The first seeding of categories is the upgrade from the hard-coded list, so old spellings are merged then
+// (never again - admins may deliberately add a value that looks like an old one)
+export async function seedMasterData() {
+    for (const type of CONFIG_TYPES) {
+        if (await ConfigOption.exists({ type })) continue;
+        await ConfigOption.insertMany(DEFAULT_OPTIONS[type].map((option, order) => {
+            const { value, label = value, fields = [] } = typeof option === 'string' ? { value: option } : option;
+            return { type, value, label, order, fields };
+        }));
+        if (type === 'category') await mergeCategories();
+    }
+    invalidateOptions();
+}
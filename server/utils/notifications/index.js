@@ -0,0 +1,278 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import OutboxMessage from '../../models/OutboxMessage.js';
+import Notification from '../../models/Notification.js';
+import User from '../../models/User.js';
+import { ROLE_PERMISSIONS } from '../permissions.js';
+import { publishToUser } from '../realtime.js';
+import { renderTemplate, hasTemplate, isRequiredEvent, isSensitiveEvent, NOTIFICATION_EVENTS } from './templates.js';
+import createSmtpTransport from './transports/smtpTransport.js';
+import createSmsGatewayTransport from './transports/smsGatewayTransport.js';
+import createConsoleTransport from './transports/consoleTransport.js';
+import createFakeTransport from './transports/fakeTransport.js';
+
+export { NOTIFICATION_EVENTS };
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 5;
+const BATCH_SIZE = 50;
+// A message stuck in "sending" this long (e.g. the process died mid-send) is retried
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+// Registration without an email address stores a placeholder that cannot receive mail
+const PLACEHOLDER_EMAIL = /@complaintbox\.local$/i;
+
+// Transport per channel, chosen by NOTIFICATION_EMAIL_TRANSPORT (smtp|fake|console) and NOTIFICATION_SMS_TRANSPORT (gateway|fake|console)
+const createTransport = (channel) => {
+    const logFile = process.env.NOTIFICATION_LOG_FILE
+        ? path.resolve(__dirname, '../..', process.env.NOTIFICATION_LOG_FILE)
+        : null;
+
+    if (channel === 'email' && process.env.NOTIFICATION_EMAIL_TRANSPORT === 'smtp') {
+        return createSmtpTransport({
+            host: process.env.SMTP_HOST || 'localhost',
+            port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+            secure: process.env.SMTP_SECURE === 'true',
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS,
+            from: process.env.SMTP_FROM || 'ComplaintBox <no-reply@complaintbox.local>'
+        });
+    }
+
+    if (channel === 'sms' && process.env.NOTIFICATION_SMS_TRANSPORT === 'gateway') {
+        if (!process.env.SMS_GATEWAY_URL) {
+            throw new Error('SMS_GATEWAY_URL is required when NOTIFICATION_SMS_TRANSPORT=gateway');
+        }
+        return createSmsGatewayTransport({
+            url: process.env.SMS_GATEWAY_URL,
+            apiKey: process.env.SMS_GATEWAY_API_KEY,
+            sender: process.env.SMS_SENDER_ID,
+            countryCode: process.env.SMS_COUNTRY_CODE || '91'
+        });
+    }
+
+    const setting = channel === 'email' ? process.env.NOTIFICATION_EMAIL_TRANSPORT : process.env.NOTIFICATION_SMS_TRANSPORT;
+    if (setting === 'fake') {
+        const failFor = (process.env.FAKE_TRANSPORT_FAIL_TO || '').split(',').map(to => to.trim()).filter(Boolean);
+        return createFakeTransport({ channel, failFor });
+    }
+
+    return createConsoleTransport({ channel, logFile });
+};
+
+const transports = {};
+
+// Created lazily so env vars loaded by dotenv are picked up
+const getTransport = (channel) => {
+    if (!transports[channel]) transports[channel] = createTransport(channel);
+    return transports[channel];
+};
+
+/**
+ * Check the transports at startup so a misconfigured deploy fails fast instead of on the first message
+ * Production must use a real SMS gateway: registration and password reset depend on the codes reaching phones,
+ * and the console transport would only leave them in the server logs
+ */
+export function checkTransportConfig() {
+    if (process.env.NODE_ENV === 'production' && process.env.NOTIFICATION_SMS_TRANSPORT !== 'gateway') {
+        throw new Error('NOTIFICATION_SMS_TRANSPORT=gateway is required in production - verification codes are sent by SMS');
+    }
+    getTransport('email');
+    getTransport('sms');
+}
+
+// Where a user can be reached on a channel, or null
+const addressFor = (user, channel) => {
+    if (channel === 'email') {
+        return user.email && !PLACEHOLDER_EMAIL.test(user.email) ? user.email : null;
+    }
+    return /^[0-9]{10}$/.test(user.employeeNumber || '') ? user.employeeNumber : null;
+};
+
+// 1, 2, 4, 8 ... minutes between attempts, capped at an hour
+const backoff = (attempts) => Math.min(60, 2 ** (attempts - 1)) * 60 * 1000;
+
+// Add an entry to the user's notification center and push it to their open dashboards
+const createInAppNotification = async (user, event, data) => {
+    const { title, body, link } = renderTemplate(event, 'inApp', { ...data, user });
+    const notification = await Notification.create({
+        recipient: user._id,
+        event,
+        title,
+        body,
+        link,
+        complaint: data.complaint?._id
+    });
+    publishToUser(user._id, 'notification.created', { notification });
+    return notification;
+};
+
+// Record the event in the user's notification center, render it for every channel
+// they have opted in to and queue those in the outbox
+// Never throws - a notification problem must not fail the request that triggered it
+export async function notifyUser(user, event, data = {}) {
+    try {
+        if (!user) return [];
+
+        if (hasTemplate(event, 'inApp')) await createInAppNotification(user, event, data);
+
+        const messages = [];
+        for (const channel of ['email', 'sms']) {
+            const to = addressFor(user, channel);
+            if (!to || !hasTemplate(event, channel)) continue;
+            if (!isRequiredEvent(event) && !user.wantsNotification(event, channel)) continue;
+
+            const { subject = '', text } = renderTemplate(event, channel, { ...data, user });
+            messages.push({
+                channel, to, subject, body: text, event, userId: user._id, maxAttempts: MAX_ATTEMPTS, sensitive: isSensitiveEvent(event)
+            });
+        }
+
+        if (messages.length === 0) return [];
+
+        const queued = await OutboxMessage.insertMany(messages);
+        // Deliver right away instead of waiting for the next worker tick
+        processOutbox().catch(error => console.error('Outbox error:', error.message));
+        return queued;
+    } catch (error) {
+        console.error('Notify error:', error);
+        return [];
+    }
+}
+
+// Queue an SMS to a phone number that has no account yet (registration codes)
+// Unlike notifyUser this throws when the message can't be queued, so the caller can report it
+export async function notifyPhone(phone, event, data = {}) {
+    const { text } = renderTemplate(event, 'sms', data);
+    const message = await OutboxMessage.create({
+        channel: 'sms', to: phone, body: text, event, maxAttempts: MAX_ATTEMPTS, sensitive: isSensitiveEvent(event)
+    });
+    processOutbox().catch(error => console.error('Outbox error:', error.message));
+    return message;
+}
+
+// Notify whoever filed a complaint; anonymous complaints have no one to notify
+export async function notifyComplaintOwner(complaint, event, data = {}) {
+    if (complaint.isAnonymous || !complaint.employeeId) return [];
+
+    const user = await User.findById(complaint.employeeId).select('-password').catch(() => null);
+    return notifyUser(user, event, { ...data, complaint });
+}
+
+const rolesWith = (permission) => Object.keys(ROLE_PERMISSIONS).filter(role => ROLE_PERMISSIONS[role].includes(permission));
+
+// Notify whoever should act on a complaint: its assignee, or - while unassigned -
+// HR officers, super-admins and the handlers of its department
+export async function notifyComplaintHandlers(complaint, event, data = {}) {
+    try {
+        const filter = complaint.assignedTo
+            ? { _id: complaint.assignedTo }
+            : {
+                $or: [
+                    { adminRole: { $in: ['hr_officer', 'super_admin'] } },
+                    { adminRole: 'department_handler', department: complaint.department }
+                ]
+            };
+
+        const admins = await User.find({ ...filter, role: 'admin', isActive: true }).select('-password');
+        for (const admin of admins) {
+            if (String(admin._id) === String(data.exclude)) continue;
+            await notifyUser(admin, event, { ...data, complaint });
+        }
+    } catch (error) {
+        console.error('Notify handlers error:', error);
+    }
+}
+
+// Notify every active admin whose role grants a permission (e.g. users:approve for new registrations)
+export async function notifyAdminsWith(permission, event, data = {}) {
+    try {
+        const admins = await User.find({ role: 'admin', isActive: true, adminRole: { $in: rolesWith(permission) } }).select('-password');
+        for (const admin of admins) {
+            await notifyUser(admin, event, data);
+        }
+    } catch (error) {
+        console.error('Notify admins error:', error);
+    }
+}
+
+// Deliver one claimed message and record the outcome
+const deliver = async (message) => {
+    try {
+        await getTransport(message.channel).send({
+            to: message.to, subject: message.subject, text: message.body, sensitive: message.sensitive
+        });
+        message.status = 'sent';
+        message.sentAt = new Date();
+        message.lastError = '';
+        // Codes have done their job once delivered - don't keep them around
+        if (message.sensitive) message.body = '[hidden]';
+    } catch (error) {
+        message.lastError = String(error.message || error).slice(0, 500);
+        if (message.attempts >= message.maxAttempts) {
+            message.status = 'failed';
+            console.error(`✉️  ${message.channel} to ${message.to} failed permanently: ${message.lastError}`);
+        } else {
+            message.status = 'pending';
+            message.nextAttemptAt = new Date(Date.now() + backoff(message.attempts));
+        }
+    }
+    message.lockedAt = null;
+    await message.save();
+};
+
+let processing = false;
+
+// Send due outbox messages; returns how many were attempted
+export async function processOutbox(now = new Date()) {
+    if (processing) return 0;
+    processing = true;
+
+    try {
+        await OutboxMessage.updateMany(
+            { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK_MS) } },
+            { status: 'pending', lockedAt: null }
+        );
+
+        let attempted = 0;
+        while (attempted < BATCH_SIZE) {
+            // Claim atomically so several server instances never send the same message twice
+            const message = await OutboxMessage.findOneAndUpdate(
+                { status: 'pending', nextAttemptAt: { $lte: now } },
+                { status: 'sending', lockedAt: new Date(), $inc: { attempts: 1 } },
+                { sort: { nextAttemptAt: 1 }, new: true }
+            );
+            if (!message) break;
+
+            await deliver(message);
+            attempted += 1;
+        }
+        return attempted;
+    } finally {
+        processing = false;
+    }
+}
+
+// Put a failed message back in the queue with a fresh set of attempts
+export async function retryOutboxMessage(id) {
+    return OutboxMessage.findOneAndUpdate(
+        { _id: id, status: 'failed' },
+        { status: 'pending', attempts: 0, nextAttemptAt: new Date(), lastError: '' },
+        { new: true }
+    );
+}
+
+// In-process outbox worker; returns a stop function for graceful shutdown
+export function startOutboxWorker() {
+    const seconds = parseInt(process.env.NOTIFICATION_POLL_SECONDS, 10) || 30;
+
+    const tick = () => processOutbox().catch(error => console.error('Outbox error:', error.message));
+
+    const timer = setInterval(tick, seconds * 1000);
+    timer.unref();
+    tick();
+
+    console.log(`✉️  Notification outbox worker running every ${seconds} second(s)`);
+    return () => clearInterval(timer);
+}
@@ -0,0 +1,175 @@
+import { statusLabel, CONFIRMATION_WINDOW_DAYS } from '../workflow.js';
+
+const APP_NAME = 'ComplaintBox';
+
+// Each event may render { subject, text } for email, { text } for SMS (kept under 160 chars)
+// and { title, body, link } for the in-app notification center
+// Events without email/SMS templates (the admin ones) are in-app only
+// `required` events are sent whatever the user's preferences say; `sensitive` ones (codes)
+// are hidden from the admin outbox view
+export const TEMPLATES = {
+    account_approval: {
+        email: ({ user, approvalStatus }) => ({
+            subject: approvalStatus === 'approved'
+                ? `Your ${APP_NAME} account has been approved`
+                : `Your ${APP_NAME} account request was not approved`,
+            text: approvalStatus === 'approved'
+                ? `Hi ${user.name},\n\nYour account has been approved. You can now log in with your phone number and submit complaints.\n\n- ${APP_NAME}`
+                : `Hi ${user.name},\n\nYour account request was not approved. Please contact HR if you think this is a mistake.\n\n- ${APP_NAME}`
+        }),
+        sms: ({ approvalStatus }) => ({
+            text: approvalStatus === 'approved'
+                ? `${APP_NAME}: your account has been approved. You can now log in.`
+                : `${APP_NAME}: your account request was not approved. Please contact HR.`
+        }),
+        inApp: ({ approvalStatus }) => ({
+            title: approvalStatus === 'approved' ? 'Account approved' : 'Account not approved',
+            body: approvalStatus === 'approved'
+                ? 'Your account has been approved. You can now submit complaints.'
+                : 'Your account request was not approved. Please contact HR.',
+            link: '/employee'
+        })
+    },
+
+    complaint_status: {
+        email: ({ user, complaint, note }) => ({
+            subject: `${complaint.referenceNumber}: ${statusLabel(complaint.status)}`,
+            text: `Hi ${user.name},\n\nYour ${complaint.category} complaint ${complaint.referenceNumber} is now "${statusLabel(complaint.status)}".`
+                + (note ? `\n\nNote from HR: ${note}` : '')
+                + (complaint.status === 'resolved'
+                    ? `\n\nPlease log in to confirm the resolution or reopen the complaint within ${CONFIRMATION_WINDOW_DAYS} days - after that it is closed automatically.`
+                    : '')
+                + `\n\n- ${APP_NAME}`
+        }),
+        sms: ({ complaint }) => ({
+            text: `${APP_NAME}: complaint ${complaint.referenceNumber} is now ${statusLabel(complaint.status)}.`
+        }),
+        inApp: ({ complaint, note }) => ({
+            title: `${complaint.referenceNumber} is now ${statusLabel(complaint.status)}`,
+            body: note || `Your ${complaint.category} complaint was updated.`,
+            link: '/employee'
+        })
+    },
+
+    complaint_reply: {
+        email: ({ user, complaint, body }) => ({
+            subject: `${complaint.referenceNumber}: new reply from HR`,
+            text: `Hi ${user.name},\n\nHR replied on your ${complaint.category} complaint ${complaint.referenceNumber}:\n\n${body}\n\nLog in to ${APP_NAME} to respond.\n\n- ${APP_NAME}`
+        }),
+        sms: ({ complaint }) => ({
+            text: `${APP_NAME}: HR replied on complaint ${complaint.referenceNumber}. Log in to view it.`
+        }),
+        inApp: ({ complaint, body }) => ({
+            title: `New reply on ${complaint.referenceNumber}`,
+            body: body.length > 140 ? `${body.slice(0, 140)}...` : body,
+            link: '/employee'
+        })
+    },
+
+    // ---- Account security ----
+
+    password_reset: {
+        required: true,
+        sensitive: true,
+        email: ({ user, code, minutes }) => ({
+            subject: `Your ${APP_NAME} password reset code`,
+            text: `Hi ${user.name},\n\nYour password reset code is ${code}. It expires in ${minutes} minutes.\n\nIf you did not ask to reset your password you can ignore this message.\n\n- ${APP_NAME}`
+        }),
+        sms: ({ code, minutes }) => ({
+            text: `${APP_NAME}: your password reset code is ${code}. It expires in ${minutes} minutes. Do not share it with anyone.`
+        })
+    },
+
+    phone_verification: {
+        required: true,
+        sensitive: true,
+        sms: ({ code, minutes }) => ({
+            text: `${APP_NAME}: your registration code is ${code}. It expires in ${minutes} minutes. Do not share it with anyone.`
+        })
+    },
+
+    password_changed: {
+        required: true,
+        email: ({ user }) => ({
+            subject: `Your ${APP_NAME} password was changed`,
+            text: `Hi ${user.name},\n\nThe password for your account was just changed. If this wasn't you, contact HR straight away.\n\n- ${APP_NAME}`
+        }),
+        sms: () => ({
+            text: `${APP_NAME}: your password was changed. If this wasn't you, contact HR straight away.`
+        })
+    },
+
+    // ---- Admin events ----
+
+    complaint_created: {
+        inApp: ({ complaint }) => ({
+            title: `New complaint ${complaint.referenceNumber}`,
+            body: `${complaint.category} • ${complaint.department} • ${complaint.priority} priority`,
+            link: '/admin'
+        })
+    },
+
+    complaint_assigned: {
+        inApp: ({ complaint, assignedBy }) => ({
+            title: `${complaint.referenceNumber} assigned to you`,
+            body: `${complaint.category} • ${complaint.department}` + (assignedBy ? ` • by ${assignedBy}` : ''),
+            link: '/admin'
+        })
+    },
+
+    complaint_escalated: {
+        inApp: ({ complaint, type }) => ({
+            title: `${complaint.referenceNumber} escalated`,
+            body: `Missed its ${type === 'first_response' ? 'first response' : 'resolution'} target - now ${complaint.priority} priority.`,
+            link: '/admin'
+        })
+    },
+
+    complaint_employee_reply: {
+        inApp: ({ complaint, body }) => ({
+            title: `Employee replied on ${complaint.referenceNumber}`,
+            body: body.length > 140 ? `${body.slice(0, 140)}...` : body,
+            link: '/admin'
+        })
+    },
+
+    complaint_reopened: {
+        inApp: ({ complaint, reason }) => ({
+            title: `${complaint.referenceNumber} reopened by the employee`,
+            body: reason.length > 140 ? `${reason.slice(0, 140)}...` : reason,
+            link: '/admin'
+        })
+    },
+
+    complaint_withdrawn: {
+        inApp: ({ complaint, reason }) => ({
+            title: `${complaint.referenceNumber} withdrawn by the employee`,
+            body: reason.length > 140 ? `${reason.slice(0, 140)}...` : reason,
+            link: '/admin'
+        })
+    },
+
+    user_registered: {
+        inApp: ({ registrant }) => ({
+            title: 'New registration awaiting approval',
+            body: `${registrant.name} • ${registrant.department} • ${registrant.workLocation}`,
+            link: '/admin'
+        })
+    }
+};
+
+// Events a user can opt in or out of (those delivered by email or SMS, except required ones)
+export const NOTIFICATION_EVENTS = Object.keys(TEMPLATES)
+    .filter(event => !TEMPLATES[event].required && (TEMPLATES[event].email || TEMPLATES[event].sms));
+
+export const isRequiredEvent = (event) => Boolean(TEMPLATES[event]?.required);
+
+export const isSensitiveEvent = (event) => Boolean(TEMPLATES[event]?.sensitive);
+
+export const hasTemplate = (event, channel) => Boolean(TEMPLATES[event]?.[channel]);
+
+export const renderTemplate = (event, channel, data) => {
+    const template = TEMPLATES[event]?.[channel];
+    if (!template) throw new Error(`No ${channel} template for ${event}`);
+    return template(data);
+};
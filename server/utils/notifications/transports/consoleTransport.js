@@ -0,0 +1,18 @@
+import fs from 'fs';
+
+// Development transport: prints messages and optionally appends them to NOTIFICATION_LOG_FILE
+// Sensitive messages (verification codes) are never written out - use the fake transport to read them in tests
+export default function createConsoleTransport({ channel, logFile }) {
+    return {
+        name: 'console',
+
+        async send({ to, subject, text, sensitive }) {
+            const entry = `[${new Date().toISOString()}] ${channel.toUpperCase()} to ${to}`
+                + (subject ? `\nSubject: ${subject}` : '')
+                + `\n${sensitive ? '[verification code withheld]' : text}\n\n`;
+
+            console.log(`✉️  ${entry.trim()}`);
+            if (logFile) await fs.promises.appendFile(logFile, entry);
+        }
+    };
+}
@@ -0,0 +1,22 @@
+// Test transport: keeps messages in memory instead of sending them
+// (NOTIFICATION_SMS_TRANSPORT=fake / NOTIFICATION_EMAIL_TRANSPORT=fake), so automated tests
+// can read back the codes a flow sent. Numbers listed in FAKE_TRANSPORT_FAIL_TO simulate a failing provider.
+
+const sent = [];
+
+export const sentMessages = () => [...sent];
+
+export const clearSentMessages = () => {
+    sent.length = 0;
+};
+
+export default function createFakeTransport({ channel, failFor = [] }) {
+    return {
+        name: 'fake',
+
+        async send({ to, subject, text }) {
+            if (failFor.includes(to)) throw new Error(`Fake ${channel} transport rejected ${to}`);
+            sent.push({ channel, to, subject, text, sentAt: new Date() });
+        }
+    };
+}
@@ -0,0 +1,23 @@
+// Sends SMS through an HTTP gateway that accepts JSON { to, message }
+// Recipients are the 10-digit employeeNumber, prefixed with SMS_COUNTRY_CODE
+export default function createSmsGatewayTransport({ url, apiKey, sender, countryCode }) {
+    return {
+        name: 'sms-gateway',
+
+        async send({ to, text }) {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+                },
+                body: JSON.stringify({ to: `+${countryCode}${to}`, message: text, sender }),
+                signal: AbortSignal.timeout(10000)
+            });
+
+            if (!response.ok) {
+                throw new Error(`SMS gateway responded with ${response.status}`);
+            }
+        }
+    };
+}
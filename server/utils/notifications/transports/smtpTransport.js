@@ -0,0 +1,19 @@
+import nodemailer from 'nodemailer';
+
+// Sends email over SMTP - point SMTP_HOST/SMTP_PORT at a local test server (MailHog, Mailpit) in development
+export default function createSmtpTransport({ host, port, secure, user, pass, from }) {
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined
+    });
+
+    return {
+        name: 'smtp',
+
+        async send({ to, subject, text }) {
+            await transporter.sendMail({ from, to, subject, text });
+        }
+    };
+}
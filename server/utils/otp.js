@@ -0,0 +1,83 @@
+import crypto from 'crypto';
+import OtpChallenge from '../models/OtpChallenge.js';
+import { createToken, hashToken } from './tokens.js';
+
+// One-time codes for flows that prove someone holds a phone number (registration, password reset)
+// Codes are stored hashed, expire, allow a few attempts and can't be re-sent too quickly;
+// a verified code is exchanged for a short-lived single-use token
+
+export const OTP_TTL_MINUTES = 10;
+export const OTP_MAX_ATTEMPTS = 5;
+export const OTP_RESEND_SECONDS = 60;
+const TOKEN_TTL_MS = 15 * 60 * 1000;
+
+// Salted with the challenge id so equal codes never share a hash
+const hashCode = (challengeId, code) => hashToken(`${challengeId}:${code}`);
+
+/**
+ * Start a challenge, replacing any earlier one for the same phone and purpose
+ * Returns { code } to deliver, or { retryAfter } (seconds) while the resend cooldown runs
+ */
+export async function issueOtp({ purpose, phone, user }) {
+    const cooldownStart = new Date(Date.now() - OTP_RESEND_SECONDS * 1000);
+    const recent = await OtpChallenge.findOne({ purpose, phone, createdAt: { $gt: cooldownStart } });
+    if (recent) {
+        return { retryAfter: Math.ceil((recent.createdAt - cooldownStart) / 1000) };
+    }
+
+    await OtpChallenge.deleteMany({ purpose, phone });
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    const challenge = new OtpChallenge({
+        purpose,
+        phone,
+        user: user?._id,
+        expiresAt: new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000)
+    });
+    challenge.codeHash = hashCode(challenge._id, code);
+    await challenge.save();
+
+    return { code };
+}
+
+/**
+ * Check a code against the open challenge
+ * Returns { token } (single-use, 15 minutes) or { status, error }
+ */
+export async function verifyOtp({ purpose, phone, code }) {
+    // Count the attempt before comparing so parallel guesses can't exceed the limit
+    const challenge = await OtpChallenge.findOneAndUpdate(
+        { purpose, phone, verifiedAt: null, expiresAt: { $gt: new Date() }, attempts: { $lt: OTP_MAX_ATTEMPTS } },
+        { $inc: { attempts: 1 } },
+        { sort: { createdAt: -1 }, new: true }
+    );
+
+    if (!challenge) {
+        return { status: 400, error: 'This code has expired or was tried too many times. Request a new one.' };
+    }
+
+    if (challenge.codeHash !== hashCode(challenge._id, String(code).trim())) {
+        const left = OTP_MAX_ATTEMPTS - challenge.attempts;
+        return {
+            status: 400,
+            error: left > 0 ? `Incorrect code. ${left} attempt${left === 1 ? '' : 's'} left.` : 'Incorrect code. Request a new one.'
+        };
+    }
+
+    const { token, hash } = createToken();
+    challenge.verifiedAt = new Date();
+    challenge.tokenHash = hash;
+    challenge.tokenExpiresAt = new Date(Date.now() + TOKEN_TTL_MS);
+    await challenge.save();
+
+    return { token };
+}
+
+// Use a verified token; returns its challenge (phone, user) the first time, null afterwards or once expired
+export async function consumeOtpToken({ purpose, token }) {
+    return OtpChallenge.findOneAndUpdate(
+        { purpose, tokenHash: hashToken(token), tokenExpiresAt: { $gt: new Date() }, usedAt: null },
+        { usedAt: new Date() },
+        { new: true }
+    );
+}
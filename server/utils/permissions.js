@@ -0,0 +1,33 @@
+// Admin roles and what each of them may do
+
+export const ADMIN_ROLES = ['super_admin', 'hr_officer', 'department_handler', 'auditor'];
+
+export const ROLE_PERMISSIONS = {
+    super_admin: [
+        'complaints:read', 'complaints:reply', 'complaints:update', 'complaints:delete', 'complaints:assign',
+        'users:read', 'users:approve', 'users:delete',
+        'routing:manage', 'admins:manage', 'complaints:identity', 'config:manage'
+    ],
+    hr_officer: [
+        'complaints:read', 'complaints:reply', 'complaints:update', 'complaints:delete', 'complaints:assign',
+        'users:read', 'users:approve',
+        'routing:manage', 'config:manage'
+    ],
+    department_handler: [
+        'complaints:read', 'complaints:reply', 'complaints:update'
+    ],
+    auditor: [
+        'complaints:read', 'users:read'
+    ]
+};
+
+export const hasPermission = (adminRole, permission) => (ROLE_PERMISSIONS[adminRole] || []).includes(permission);
+
+// Extra complaint filter for admins whose view is limited
+// (department handlers see their department plus anything assigned to them)
+export const complaintScope = (admin) => {
+    if (admin?.adminRole === 'department_handler') {
+        return { $or: [{ department: admin.department }, { assignedTo: admin._id }] };
+    }
+    return {};
+};
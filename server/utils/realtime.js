@@ -0,0 +1,104 @@
+import { hasPermission } from './permissions.js';
+
+// Server-Sent Events hub for live dashboard updates
+// Connections live in this process only - behind several instances each one pushes its own events
+
+const HEARTBEAT_MS = 25 * 1000;
+
+const clients = new Set();
+
+// Whether a connected client may see an event about this complaint
+const canSeeComplaint = (client, complaint) => {
+    if (client.kind === 'employee') {
+        return !complaint.isAnonymous && String(complaint.employeeId) === String(client.user._id);
+    }
+
+    const admin = client.user;
+    if (!hasPermission(admin.adminRole, 'complaints:read')) return false;
+    if (admin.adminRole !== 'department_handler') return true;
+    return complaint.department === admin.department || String(complaint.assignedTo) === String(admin._id);
+};
+
+const write = (client, event, data) => {
+    client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Turn the response into an event stream for an authenticated user ('admin' | 'employee')
+export function openEventStream(req, res, kind) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        // Stop reverse proxies (nginx, Azure front ends) from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const client = { res, kind, user: req.user };
+    client.heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    clients.add(client);
+    write(client, 'ready', { at: new Date() });
+
+    req.on('close', () => {
+        clearInterval(client.heartbeat);
+        clients.delete(client);
+    });
+}
+
+// Push a complaint event (complaint.created | complaint.updated | complaint.message | complaint.deleted | complaint.restored)
+// to every admin in scope and to the employee who filed it
+export function publishComplaint(event, complaint) {
+    // toJSON strips anonymous reporter details and attachment storage keys
+    const payload = { complaint: complaint.toJSON ? complaint.toJSON() : complaint };
+
+    clients.forEach(client => {
+        if (canSeeComplaint(client, complaint)) write(client, event, payload);
+    });
+}
+
+// Push a registration event (user.registered | user.updated | user.deleted | user.restored) to admins who can see employees
+export function publishUser(event, user) {
+    const payload = {
+        user: {
+            _id: user._id,
+            name: user.name,
+            email: user.email,
+            employeeNumber: user.employeeNumber,
+            department: user.department,
+            workLocation: user.workLocation,
+            approvalStatus: user.approvalStatus,
+            phoneVerifiedAt: user.phoneVerifiedAt,
+            createdAt: user.createdAt
+        }
+    };
+
+    clients.forEach(client => {
+        if (client.kind === 'admin' && hasPermission(client.user.adminRole, 'users:read')) write(client, event, payload);
+    });
+}
+
+// Push an event to every open stream of one user (their own notifications)
+export function publishToUser(userId, event, data) {
+    clients.forEach(client => {
+        if (String(client.user._id) === String(userId)) write(client, event, data);
+    });
+}
+
+// End a user's streams when they are signed out everywhere; reconnecting needs a valid session
+export function closeUserStreams(userId) {
+    clients.forEach(client => {
+        if (String(client.user._id) !== String(userId)) return;
+        clearInterval(client.heartbeat);
+        client.res.end();
+        clients.delete(client);
+    });
+}
+
+// End every stream (used on shutdown so server.close() is not held open)
+export function closeEventStreams() {
+    clients.forEach(client => {
+        clearInterval(client.heartbeat);
+        client.res.end();
+    });
+    clients.clear();
+}
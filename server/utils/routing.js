@@ -0,0 +1,33 @@
+import Complaint from '../models/Complaint.js';
+import RoutingRule from '../models/RoutingRule.js';
+import User from '../models/User.js';
+import { OPEN_STATUSES } from './workflow.js';
+
+// Active admin accounts that can work a complaint queue
+export const findHandlers = (ids) => {
+    const filter = { role: 'admin', isActive: true, adminRole: { $ne: 'auditor' } };
+    if (ids) filter._id = { $in: ids };
+    return User.find(filter).select('-password');
+};
+
+// Pick the handler with the fewest open complaints
+export const leastLoaded = async (handlers) => {
+    const loads = await Promise.all(handlers.map(h =>
+        Complaint.countDocuments({ assignedTo: h._id, status: { $in: OPEN_STATUSES } })
+    ));
+    return handlers[loads.indexOf(Math.min(...loads))];
+};
+
+// Assign a (not yet saved) complaint using the first matching active routing rule
+// Returns the rule that matched, or null if the complaint stays unassigned
+export async function autoAssign(complaint) {
+    const rules = await RoutingRule.find({ isActive: true }).sort({ order: 1, createdAt: 1 });
+    const rule = rules.find(r => r.matches(complaint));
+    if (!rule) return null;
+
+    const handlers = await findHandlers(rule.assignees);
+    if (handlers.length === 0) return null;
+
+    complaint.assignTo(await leastLoaded(handlers));
+    return rule;
+}
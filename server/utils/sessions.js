@@ -0,0 +1,90 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import RefreshToken from '../models/RefreshToken.js';
+import { createToken, hashToken } from './tokens.js';
+import { closeUserStreams } from './realtime.js';
+
+// Sign-in sessions: a short-lived JWT access token (see User.generateAuthToken) plus a rotating
+// refresh token stored server-side, so sessions can be ended before the JWT would expire
+
+// How long a device stays signed in without being used
+const REFRESH_TTL_MS = {
+    admin: 24 * 60 * 60 * 1000,
+    employee: 7 * 24 * 60 * 60 * 1000
+};
+
+// Two tabs refreshing at the same moment both send the same token; the loser isn't treated as theft
+const REUSE_GRACE_MS = 30 * 1000;
+
+// Whether the account may still hold a session
+const canSignIn = (user) => (user.role === 'admin' ? user.isActive : user.approvalStatus === 'approved');
+
+const issueRefreshToken = async (user, family, req) => {
+    const { token, hash } = createToken();
+    await RefreshToken.create({
+        user: user._id,
+        tokenHash: hash,
+        family,
+        expiresAt: new Date(Date.now() + REFRESH_TTL_MS[user.role]),
+        userAgent: String(req?.get('user-agent') || '').slice(0, 200)
+    });
+    return token;
+};
+
+/**
+ * Start a session for a user who just signed in
+ * Returns { token, refreshToken } to send to the client
+ */
+export async function createSession(user, req) {
+    const refreshToken = await issueRefreshToken(user, crypto.randomUUID(), req);
+    return { token: user.generateAuthToken(), refreshToken };
+}
+
+/**
+ * Swap a refresh token for a new access token and refresh token
+ * Returns { user, token, refreshToken } or { error }
+ */
+export async function refreshSession(refreshToken, req) {
+    const tokenHash = hashToken(refreshToken);
+    const now = new Date();
+
+    // Claim the token atomically so it can only be rotated once
+    const current = await RefreshToken.findOneAndUpdate(
+        { tokenHash, rotatedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+        { rotatedAt: now }
+    );
+
+    if (!current) {
+        const reused = await RefreshToken.findOne({ tokenHash, revokedAt: null, rotatedAt: { $ne: null } });
+        if (reused && now - reused.rotatedAt > REUSE_GRACE_MS) {
+            await RefreshToken.updateMany({ family: reused.family, revokedAt: null }, { revokedAt: now });
+        }
+        return { error: 'Session expired. Please log in again.' };
+    }
+
+    const user = await User.findById(current.user).select('-password');
+    if (!user || !canSignIn(user)) {
+        await RefreshToken.updateMany({ family: current.family, revokedAt: null }, { revokedAt: now });
+        return { error: 'Session expired. Please log in again.' };
+    }
+
+    const nextToken = await issueRefreshToken(user, current.family, req);
+    return { user, token: user.generateAuthToken(), refreshToken: nextToken };
+}
+
+// Sign out one device (the refresh token's family); unknown tokens are ignored
+export async function revokeSession(refreshToken) {
+    const session = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+    if (session) {
+        await RefreshToken.updateMany({ family: session.family, revokedAt: null }, { revokedAt: new Date() });
+    }
+}
+
+// Sign out every device: refresh tokens are revoked and access tokens already handed out stop working
+// Returns the updated user, whose new tokens are valid again
+export async function revokeAllSessions(userId) {
+    await RefreshToken.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+    const user = await User.findByIdAndUpdate(userId, { $inc: { tokenVersion: 1 } }, { new: true }).select('-password');
+    closeUserStreams(userId);
+    return user;
+}
@@ -0,0 +1,58 @@
+// SLA targets (in hours) per priority, with optional per-category overrides
+// Override with SLA_POLICY (JSON, same shape as DEFAULT_POLICY - only the parts you want to change)
+
+import { CATEGORY_MERGES } from './categoryMerges.js';
+
+const DEFAULT_POLICY = {
+    priorities: {
+        high: { firstResponseHours: 4, resolutionHours: 24 },
+        medium: { firstResponseHours: 24, resolutionHours: 72 },
+        low: { firstResponseHours: 48, resolutionHours: 168 }
+    },
+    // e.g. { "Salary Advance": { "high": { "resolutionHours": 12 } } }
+    categories: {}
+};
+
+// Complaints are stored under the merged category names, so overrides keyed by an old spelling are moved
+// onto the canonical one (an override written for the canonical name wins where both are given)
+const mergeCategoryKeys = (categories) => {
+    const merged = {};
+    for (const [category, targets] of Object.entries(categories)) {
+        const canonical = CATEGORY_MERGES[category];
+        if (!canonical) {
+            merged[category] = { ...merged[category], ...targets };
+            continue;
+        }
+        console.warn(`⚠️  SLA_POLICY category "${category}" is now "${canonical}" - applying its targets there`);
+        merged[canonical] = { ...targets, ...merged[canonical] };
+    }
+    return merged;
+};
+
+const loadPolicy = () => {
+    if (!process.env.SLA_POLICY) return DEFAULT_POLICY;
+
+    try {
+        const custom = JSON.parse(process.env.SLA_POLICY);
+        return {
+            priorities: { ...DEFAULT_POLICY.priorities, ...(custom.priorities || {}) },
+            categories: mergeCategoryKeys(custom.categories || {})
+        };
+    } catch (error) {
+        console.error(`⚠️  Ignoring invalid SLA_POLICY (${error.message}), using defaults`);
+        return DEFAULT_POLICY;
+    }
+};
+
+export const SLA_POLICY = loadPolicy();
+
+// Resolve the targets for a category/priority pair (category overrides win)
+export const slaTargets = (category, priority) => ({
+    ...(SLA_POLICY.priorities[priority] || SLA_POLICY.priorities.medium),
+    ...(SLA_POLICY.categories[category]?.[priority] || {})
+});
+
+export const addHours = (date, hours) => new Date(new Date(date).getTime() + hours * 60 * 60 * 1000);
+
+// Escalation bumps priority one step (high stays high)
+export const nextPriority = (priority) => ({ low: 'medium', medium: 'high' }[priority] || 'high');
@@ -0,0 +1,131 @@
+import Complaint from '../models/Complaint.js';
+import User from '../models/User.js';
+import { leastLoaded } from './routing.js';
+import { SLA_CLOCK_STATUSES } from './workflow.js';
+import { nextPriority } from './sla.js';
+import { publishComplaint } from './realtime.js';
+import { notifyUser, notifyComplaintOwner } from './notifications/index.js';
+
+const BATCH_SIZE = 100;
+
+// HR officers and super-admins pick up escalated complaints
+const findEscalationHandler = async (excludeId) => {
+    const candidates = await User.find({
+        _id: { $ne: excludeId },
+        role: 'admin',
+        isActive: true,
+        adminRole: { $in: ['hr_officer', 'super_admin'] }
+    }).select('-password');
+
+    if (candidates.length === 0) return null;
+
+    // Prefer HR officers; super-admins are the fallback
+    const hr = candidates.filter(c => c.adminRole === 'hr_officer');
+    return leastLoaded(hr.length ? hr : candidates);
+};
+
+// Flag the breach, bump priority, hand to an escalation handler and record the event
+const escalate = async (complaint, type) => {
+    const breachField = type === 'first_response' ? 'firstResponseBreachedAt' : 'resolutionBreachedAt';
+    const fromPriority = complaint.priority;
+    const previousAssigneeName = complaint.assignedToName;
+
+    complaint.sla[breachField] = new Date();
+    complaint.priority = nextPriority(fromPriority);
+
+    const handler = await findEscalationHandler(complaint.assignedTo);
+    if (handler) complaint.assignTo(handler);
+
+    complaint.escalationLevel += 1;
+    complaint.escalations.push({
+        type,
+        fromPriority,
+        toPriority: complaint.priority,
+        previousAssigneeName,
+        reassignedTo: handler?._id,
+        reassignedToName: handler?.name || ''
+    });
+
+    await complaint.save();
+    publishComplaint('complaint.updated', complaint);
+    if (handler) await notifyUser(handler, 'complaint_escalated', { complaint, type });
+    console.log(`⏰ SLA ${type.replace('_', ' ')} breached on ${complaint.referenceNumber || complaint._id} - escalated`);
+};
+
+// Run one complaint's scheduled work; a failure is logged and skipped so it can't hold up the rest of the batch
+const processEach = async (complaints, label, work) => {
+    for (const complaint of complaints) {
+        try {
+            await work(complaint);
+        } catch (error) {
+            console.error(`${label} failed for ${complaint.referenceNumber || complaint._id}:`, error.message);
+        }
+    }
+};
+
+// Find open complaints past their SLA that have not been escalated for it yet
+// Complaints awaiting the employee are left alone - their clock is paused
+export async function checkSlaBreaches(now = new Date()) {
+    const firstResponseBreaches = await Complaint.find({
+        status: { $in: SLA_CLOCK_STATUSES },
+        'sla.firstRespondedAt': null,
+        'sla.firstResponseDue': { $lte: now },
+        'sla.firstResponseBreachedAt': null
+    }).limit(BATCH_SIZE);
+
+    await processEach(firstResponseBreaches, 'SLA escalation', complaint => escalate(complaint, 'first_response'));
+
+    const resolutionBreaches = await Complaint.find({
+        status: { $in: SLA_CLOCK_STATUSES },
+        'sla.resolutionDue': { $lte: now },
+        'sla.resolutionBreachedAt': null
+    }).limit(BATCH_SIZE);
+
+    await processEach(resolutionBreaches, 'SLA escalation', complaint => escalate(complaint, 'resolution'));
+
+    return firstResponseBreaches.length + resolutionBreaches.length;
+}
+
+// Close resolved complaints the employee neither confirmed nor reopened within the confirmation window
+export async function closeUnconfirmedResolutions(now = new Date()) {
+    const expired = await Complaint.find({
+        status: 'resolved',
+        confirmationDue: { $lte: now }
+    }).limit(BATCH_SIZE);
+
+    await processEach(expired, 'Auto-close', async (complaint) => {
+        complaint.autoClose();
+        await complaint.save();
+        publishComplaint('complaint.updated', complaint);
+        await notifyComplaintOwner(complaint, 'complaint_status', { note: complaint.statusHistory.at(-1).note });
+    });
+
+    return expired.length;
+}
+
+// In-process scheduler (SLA escalations and resolution auto-close); returns a stop function for graceful shutdown
+export function startSlaScheduler() {
+    const minutes = parseInt(process.env.SLA_CHECK_INTERVAL_MINUTES, 10) || 5;
+    let running = false;
+
+    const tick = async () => {
+        // Skip a tick if the previous one is still working through a backlog
+        if (running) return;
+        running = true;
+        try {
+            await checkSlaBreaches();
+            await closeUnconfirmedResolutions();
+        } catch (error) {
+            console.error('SLA check error:', error.message);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(tick, minutes * 60 * 1000);
+    timer.unref();
+    tick();
+
+    console.log(`⏰ SLA scheduler running every ${minutes} minute(s)`);
+    return () => clearInterval(timer);
+}
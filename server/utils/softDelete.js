@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// Soft deletion for users and complaints: "deleting" sets deletedAt/deletedBy and the record waits
+// in the Trash until it is restored or the retention job purges it (see utils/trash.js)
+// Reads skip deleted documents unless the filter mentions deletedAt or the query sets { withDeleted: true }
+// Plain updateMany/deleteMany are left alone so housekeeping (unassigning, purging) reaches trashed records too
+
+const READ_QUERIES = ['find', 'findOne', 'findOneAndUpdate', 'findOneAndDelete', 'findOneAndReplace', 'countDocuments', 'distinct'];
+
+function excludeDeleted() {
+    if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) return;
+    this.where({ deletedAt: null });
+}
+
+export function softDeletePlugin(schema) {
+    schema.add({
+        deletedAt: { type: Date, default: null },
+        deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+        deletedByName: { type: String, default: '' }
+    });
+    schema.index({ deletedAt: 1 });
+
+    schema.pre(READ_QUERIES, excludeDeleted);
+
+    // Aggregations (stats, analytics) get the same default
+    schema.pre('aggregate', function () {
+        if (this.options.withDeleted) return;
+        this.pipeline().unshift({ $match: { deletedAt: null } });
+    });
+}
+
+// $set for moving to the Trash; `at` lets related records share one timestamp so they can be restored together
+export const deletionFields = ({ by, byName } = {}, at = new Date()) => ({
+    deletedAt: at,
+    deletedBy: by || null,
+    deletedByName: byName || ''
+});
+
+export const RESTORED_FIELDS = { deletedAt: null, deletedBy: null, deletedByName: '' };
@@ -0,0 +1,36 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import createLocalStorage from './localStorage.js';
+import createS3Storage from './s3Storage.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Every adapter exposes save({ key, buffer, contentType }), read(key) -> stream, remove(key)
+const createStorage = () => {
+    const driver = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+
+    if (driver === 's3') {
+        if (!process.env.S3_BUCKET) {
+            throw new Error('S3_BUCKET is required when STORAGE_DRIVER=s3');
+        }
+        return createS3Storage({
+            bucket: process.env.S3_BUCKET,
+            region: process.env.S3_REGION,
+            endpoint: process.env.S3_ENDPOINT,
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        });
+    }
+
+    return createLocalStorage({
+        rootDir: process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads')
+    });
+};
+
+let storage;
+
+// Created lazily so env vars loaded by dotenv are picked up
+export const getStorage = () => {
+    if (!storage) storage = createStorage();
+    return storage;
+};
@@ -0,0 +1,34 @@
+import fs from 'fs';
+import path from 'path';
+
+// Stores files on local disk under UPLOAD_DIR (default: server/uploads)
+export default function createLocalStorage({ rootDir }) {
+    // Keys are generated server-side, but never let one escape the upload root
+    const resolve = (key) => {
+        const fullPath = path.resolve(rootDir, key);
+        if (!fullPath.startsWith(path.resolve(rootDir) + path.sep)) {
+            throw new Error('Invalid storage key');
+        }
+        return fullPath;
+    };
+
+    return {
+        name: 'local',
+
+        async save({ key, buffer }) {
+            const fullPath = resolve(key);
+            await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+            await fs.promises.writeFile(fullPath, buffer);
+        },
+
+        async read(key) {
+            const fullPath = resolve(key);
+            await fs.promises.access(fullPath);
+            return fs.createReadStream(fullPath);
+        },
+
+        async remove(key) {
+            await fs.promises.rm(resolve(key), { force: true });
+        }
+    };
+}
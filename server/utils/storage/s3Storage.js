@@ -0,0 +1,34 @@
+import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+
+// Stores files in an S3-compatible bucket (AWS S3, MinIO, Azure via gateway, ...)
+// Set S3_ENDPOINT for non-AWS services; path-style addressing is used so local stand-ins work
+export default function createS3Storage({ bucket, region, endpoint, accessKeyId, secretAccessKey }) {
+    const client = new S3Client({
+        region: region || 'us-east-1',
+        endpoint: endpoint || undefined,
+        forcePathStyle: Boolean(endpoint),
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+
+    return {
+        name: 's3',
+
+        async save({ key, buffer, contentType }) {
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: buffer,
+                ContentType: contentType
+            }));
+        },
+
+        async read(key) {
+            const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+            return result.Body;
+        },
+
+        async remove(key) {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        }
+    };
+}
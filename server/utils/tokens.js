@@ -0,0 +1,10 @@
+import crypto from 'crypto';
+
+// Random tokens handed out once (set-password links, anonymous access); only their hash is stored
+
+export const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+export const createToken = () => {
+    const token = crypto.randomBytes(32).toString('hex');
+    return { token, hash: hashToken(token) };
+};
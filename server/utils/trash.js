@@ -0,0 +1,124 @@
+import User from '../models/User.js';
+import Complaint from '../models/Complaint.js';
+import RefreshToken from '../models/RefreshToken.js';
+import Notification from '../models/Notification.js';
+import { deletionFields, RESTORED_FIELDS } from './softDelete.js';
+import { removeStoredFiles, attachmentKeys } from './attachments.js';
+
+// Trash for deleted employees and complaints: restore within the retention period,
+// after which the purge job removes them (and their files) for good
+
+export const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const BATCH_SIZE = 100;
+
+// When a trashed record will be purged
+export const purgeDate = (deletedAt) => new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+/**
+ * Move an employee and all their complaints to the Trash and end their sessions
+ * The complaints share the employee's deletedAt, which is how restoring the employee finds them again
+ * Returns { user, complaints } or null when there is no such (undeleted) employee
+ */
+export async function trashEmployee(id, deletedBy, session = null) {
+    const fields = deletionFields(deletedBy);
+    const user = await User.findOneAndUpdate({ _id: id, role: 'employee' }, { $set: fields }, { new: true, session });
+    if (!user) return null;
+
+    const complaints = await Complaint.find({ employeeId: user._id }).session(session);
+    await Complaint.updateMany({ employeeId: user._id, deletedAt: null }, { $set: fields }, { session });
+    await RefreshToken.deleteMany({ user: user._id }, { session });
+
+    return { user, complaints };
+}
+
+// Bring an employee back with the complaints that went to the Trash with them; returns { user, complaints } or null
+export async function restoreEmployee(id) {
+    const user = await User.findOne({ _id: id, role: 'employee', deletedAt: { $ne: null } });
+    if (!user) return null;
+
+    const trashedWith = await Complaint.find({ employeeId: user._id, deletedAt: user.deletedAt }).distinct('_id');
+    await User.updateOne({ _id: user._id }, { $set: RESTORED_FIELDS });
+    await Complaint.updateMany({ _id: { $in: trashedWith } }, { $set: RESTORED_FIELDS });
+
+    const [restored, complaints] = await Promise.all([
+        User.findById(user._id).select('-password'),
+        Complaint.find({ _id: { $in: trashedWith } })
+    ]);
+    return { user: restored, complaints };
+}
+
+export const trashComplaint = (filter, deletedBy, session = null) =>
+    Complaint.findOneAndUpdate(filter, { $set: deletionFields(deletedBy) }, { new: true, session });
+
+/**
+ * Restore one complaint; its employee must not be in the Trash themselves
+ * Returns { complaint } or { error, status }
+ */
+export async function restoreComplaint(filter) {
+    const complaint = await Complaint.findOne({ ...filter, deletedAt: { $ne: null } });
+    if (!complaint) return { error: 'Complaint not found in the Trash', status: 404 };
+
+    if (complaint.employeeId && !(await User.exists({ _id: complaint.employeeId }))) {
+        return { error: 'The employee who filed this complaint is in the Trash - restore them first', status: 400 };
+    }
+
+    const restored = await Complaint.findOneAndUpdate(
+        { _id: complaint._id, deletedAt: { $ne: null } },
+        { $set: RESTORED_FIELDS },
+        { new: true }
+    );
+    return { complaint: restored };
+}
+
+// Permanently remove everything that has been in the Trash longer than the retention period
+export async function purgeTrash(now = new Date()) {
+    const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS);
+
+    // An employee's complaints were trashed with or before them, so they are due no later than the employee
+    const users = await User.find({ deletedAt: { $ne: null, $lte: cutoff } }).select('_id').limit(BATCH_SIZE);
+    const userIds = users.map(u => u._id);
+    const complaints = await Complaint.find({ deletedAt: { $ne: null, $lte: cutoff } }).select('attachments').limit(BATCH_SIZE);
+
+    await Complaint.deleteMany({ _id: { $in: complaints.map(c => c._id) } });
+    await removeStoredFiles(attachmentKeys(complaints));
+
+    if (userIds.length) {
+        await Promise.all([
+            User.deleteMany({ _id: { $in: userIds } }),
+            RefreshToken.deleteMany({ user: { $in: userIds } }),
+            Notification.deleteMany({ recipient: { $in: userIds } })
+        ]);
+    }
+
+    return { users: userIds.length, complaints: complaints.length };
+}
+
+// In-process purge job; returns a stop function for graceful shutdown
+export function startTrashPurge() {
+    let running = false;
+
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const purged = await purgeTrash();
+            if (purged.users || purged.complaints) {
+                console.log(`🗑️  Purged ${purged.users} user(s) and ${purged.complaints} complaint(s) from the Trash`);
+            }
+        } catch (error) {
+            console.error('Trash purge error:', error.message);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(tick, PURGE_INTERVAL_MS);
+    timer.unref();
+    tick();
+
+    console.log(`🗑️  Trash purge running hourly (records kept ${TRASH_RETENTION_DAYS} days)`);
+    return () => clearInterval(timer);
+}
@@ -0,0 +1,25 @@
+// Turns admin employee-list query-string params into a MongoDB filter
+
+// Only accept plain strings from the query string (ignores arrays/objects)
+const str = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Build an employee filter from ?approvalStatus=&department=&workLocation=&search=
+// `search` matches name, email or employee number
+export const buildUserFilter = (query = {}) => {
+    const filter = { role: 'employee' };
+
+    ['approvalStatus', 'department', 'workLocation'].forEach(field => {
+        const value = str(query[field]);
+        if (value && value !== 'All') filter[field] = value;
+    });
+
+    const search = str(query.search);
+    if (search) {
+        const pattern = new RegExp(escapeRegex(search), 'i');
+        filter.$or = [{ name: pattern }, { email: pattern }, { employeeNumber: pattern }];
+    }
+
+    return filter;
+};
@@ -0,0 +1,61 @@
+// Complaint status state machine
+// Override the allowed transitions with STATUS_TRANSITIONS (JSON of { from: [to, ...] })
+
+// 'withdrawn' is set by the employee (see Complaint.withdraw), never through an admin transition
+export const STATUSES = ['pending', 'received', 'in_progress', 'awaiting_employee', 'resolved', 'closed', 'reopened', 'withdrawn'];
+
+// Human-readable names used in notifications
+export const STATUS_LABELS = {
+    pending: 'Pending',
+    received: 'Received',
+    in_progress: 'In Progress',
+    awaiting_employee: 'Awaiting Employee',
+    resolved: 'Resolved',
+    closed: 'Closed',
+    reopened: 'Reopened',
+    withdrawn: 'Withdrawn'
+};
+
+export const statusLabel = (status) => STATUS_LABELS[status] || status;
+
+// Days the employee has to confirm or reopen a resolved complaint before it is closed automatically
+export const CONFIRMATION_WINDOW_DAYS = parseInt(process.env.RESOLUTION_CONFIRM_DAYS, 10) || 7;
+
+// Statuses that still need work from a handler
+export const OPEN_STATUSES = ['pending', 'received', 'in_progress', 'awaiting_employee', 'reopened'];
+
+// Open statuses the SLA clock runs in - it stops while HR waits on the employee, and the wait is
+// added to the due dates once the complaint moves on (see Complaint recordStatus)
+export const SLA_PAUSED_STATUS = 'awaiting_employee';
+export const SLA_CLOCK_STATUSES = OPEN_STATUSES.filter(status => status !== SLA_PAUSED_STATUS);
+
+const DEFAULT_TRANSITIONS = {
+    pending: ['received', 'in_progress', 'closed'],
+    received: ['in_progress', 'awaiting_employee', 'resolved', 'closed'],
+    in_progress: ['awaiting_employee', 'resolved'],
+    awaiting_employee: ['in_progress', 'resolved', 'closed'],
+    resolved: ['closed', 'reopened'],
+    closed: ['reopened'],
+    reopened: ['in_progress', 'awaiting_employee', 'resolved'],
+    withdrawn: []
+};
+
+const loadTransitions = () => {
+    if (!process.env.STATUS_TRANSITIONS) return DEFAULT_TRANSITIONS;
+
+    try {
+        const custom = JSON.parse(process.env.STATUS_TRANSITIONS);
+        const valid = Object.entries(custom).every(([from, targets]) =>
+            STATUSES.includes(from) && Array.isArray(targets) && targets.every(to => STATUSES.includes(to))
+        );
+        if (!valid) throw new Error('unknown status in STATUS_TRANSITIONS');
+        return custom;
+    } catch (error) {
+        console.error(`⚠️  Ignoring invalid STATUS_TRANSITIONS (${error.message}), using defaults`);
+        return DEFAULT_TRANSITIONS;
+    }
+};
+
+export const TRANSITIONS = loadTransitions();
+
+export const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);